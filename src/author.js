@@ -1,198 +1,458 @@
-const puppeteer = require('puppeteer');
-const fs = require('fs');
-const path = require('path');
-const axios = require('axios');
-
-class DouyinDownloader {
-    constructor() {
-        this.browser = null;
-        this.page = null;
-        this.cookiePath = path.join(__dirname, '../cookies.json');
-        this.maxRetries = 3;
-        this.retryDelay = 5000; // 
-        this.requestLogs = []; // 存储请求日志
+const { BrowserPool } = require('./browserPool');
+const { isImagePost } = require('./awemeParser');
+const { SyncStateStore } = require('./syncState');
+const { JOB_STATES } = require('./jobQueue');
 
+/**
+ * 作者作品列表抓取器
+ * 打开作者主页后在页面内请求 /aweme/v1/web/aweme/post 接口，按 max_cursor 翻页直到 has_more 为 false
+ */
+class AuthorCrawler {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {Object} options.downloader - DouyinDownloader 实例，用于下载抓取到的作品，并复用其浏览器池
+     * @param {Object} options.jobQueue - DownloadJobQueue 实例，提供时作品以异步任务的方式排队下载
+     * @param {BrowserPool} options.browserPool - 浏览器池，未提供时使用下载器的浏览器池或新建一个
+     * @param {number} options.pageSize - 每页请求的作品数量
+     * @param {number} options.pageDelay - 翻页间隔(ms)，避免请求过快
+     * @param {SyncStateStore} options.syncState - 增量同步状态存储，默认使用 data/sync-state.json
+     */
+    constructor(options = {}) {
+        this.downloader = options.downloader || null;
+        this.jobQueue = options.jobQueue || null;
+        this.browserPool = options.browserPool
+            || (this.downloader ? this.downloader.browserPool : null)
+            || new BrowserPool();
+        this.ownsBrowserPool = !options.browserPool && !this.downloader;
+        this.pageSize = options.pageSize || 18;
+        this.pageDelay = options.pageDelay || 1500;
+        this.syncState = options.syncState || new SyncStateStore();
     }
 
-    async init() {
-        // 启动浏览器
-        this.browser = await puppeteer.launch({
-            headless: true,
-            defaultViewport: null,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--window-size=1280,800',
-                '--start-maximized',
-                '--disable-web-security',
-                '--disable-features=IsolateOrigins,site-per-process'
-            ],
-            ignoreDefaultArgs: ['--enable-automation']
-        });
-
-        // 创建新页面
-        this.page = await this.browser.newPage();
+    /**
+     * 从作者主页URL或sec_uid中解析sec_uid
+     * @param {string} user - 作者主页URL（https://www.douyin.com/user/{sec_uid}）或sec_uid
+     * @returns {string|null} - sec_uid，无法直接解析（例如短链接）时返回null
+     */
+    static parseSecUid(user) {
+        const match = /\/user\/([\w-]+)/.exec(user);
+        if (match) {
+            return match[1];
+        }
+        // sec_uid 以 MS4wLjABAAAA 开头
+        if (/^MS4wLjABAAAA[\w-]+$/.test(user)) {
+            return user;
+        }
+        return null;
+    }
 
-        // 设置视口大小
-        await this.page.setViewport({ width: 1280, height: 800 });
+    /**
+     * 根据作品生成可供下载器使用的作品页URL
+     * @param {Object} aweme - 作品列表中的 aweme 对象
+     * @returns {string} - 作品页URL
+     */
+    static getAwemeUrl(aweme) {
+        const type = isImagePost(aweme) ? 'note' : 'video';
+        return `https://www.douyin.com/${type}/${aweme.aweme_id}`;
+    }
 
-        // 设置 User-Agent
-        await this.page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    /**
+     * 打开作者主页，建立请求接口所需的cookies和页面环境
+     * @param {Object} page - Puppeteer页面实例
+     * @param {string} user - 作者主页URL或sec_uid
+     * @returns {Promise<string>} - 作者的sec_uid
+     */
+    async openUserPage(page, user) {
+        let secUid = AuthorCrawler.parseSecUid(user);
+        const userUrl = secUid ? `https://www.douyin.com/user/${secUid}` : user;
 
-        // 注入反检测脚本
-        await this.page.evaluateOnNewDocument(() => {
-            // 覆盖 webdriver 属性
-            Object.defineProperty(navigator, 'webdriver', {
-                get: () => false,
-            });
-            // 覆盖 plugins 属性
-            Object.defineProperty(navigator, 'plugins', {
-                get: () => [1, 2, 3, 4, 5],
+        console.log('Visiting user page:', userUrl);
+        try {
+            await page.goto(userUrl, {
+                waitUntil: 'domcontentloaded',
+                timeout: 60000
             });
-            // 覆盖 languages 属性
-            Object.defineProperty(navigator, 'languages', {
-                get: () => ['zh-CN', 'zh'],
+        } catch (navigationError) {
+            console.error('Navigation error:', navigationError);
+            console.log('Attempting to continue despite navigation error...');
+        }
+
+        // 短链接等情况需要从跳转后的地址中解析sec_uid
+        if (!secUid) {
+            secUid = AuthorCrawler.parseSecUid(page.url());
+        }
+        if (!secUid) {
+            throw new Error(`无法从链接中获取作者sec_uid: ${user}`);
+        }
+
+        try {
+            await page.waitForSelector('[data-e2e="user-post-list"]', { timeout: 10000 });
+        } catch (error) {
+            console.log('User post list not found, requesting post list anyway...');
+        }
+
+        return secUid;
+    }
+
+    /**
+     * 在页面内请求一页作品列表
+     * @param {Object} page - 已打开作者主页的Puppeteer页面实例
+     * @param {string} secUid - 作者sec_uid
+     * @param {number|string} maxCursor - 翻页游标，第一页为0
+     * @param {number} [count] - 每页作品数量，默认为 pageSize
+     * @returns {Promise<Object>} - { awemes, hasMore, maxCursor }
+     */
+    async fetchPostPage(page, secUid, maxCursor = 0, count = this.pageSize) {
+        const data = await page.evaluate(async (secUserId, cursor, count) => {
+            const params = new URLSearchParams({
+                device_platform: 'webapp',
+                aid: '6383',
+                channel: 'channel_pc_web',
+                sec_user_id: secUserId,
+                max_cursor: String(cursor),
+                locate_query: 'false',
+                show_live_replay_strategy: '1',
+                need_time_list: '1',
+                time_list_query: '0',
+                count: String(count),
+                publish_video_strategy_type: '2',
+                version_code: '190500',
+                version_name: '19.5.0'
             });
-        });
 
-        // 加载已保存的 cookies
-        await this.loadCookies();
-        // 监控网络请求
-        this.page.on('request', async request => {
-            const url = request.url();
-            if (!url.includes('/aweme/v1/web/aweme/post')) {
-                return;
-            }
-            console.log('url', url);
-            // 只记录 JSON 请求
-            if (request.resourceType() === 'fetch' || request.resourceType() === 'xhr') {
-                try {
-                    const requestData = {
-                        url: url,
-                        method: request.method(),
-                        headers: request.headers(),
-                        timestamp: new Date().toISOString(),
-                        postData: request.postData(),
-                    };
-
-                    // 保存请求信息
-                    this.requestLogs.push({
-                        type: 'request',
-                        data: requestData
-                    });
-
-                    // 写入日志文件
-                    this.saveRequestLogs();
-
-                    console.log('Network Request:', JSON.stringify(requestData, null, 2));
-                } catch (error) {
-                    console.error('Error logging request:', error);
-                }
-            }
-        });
+            // 设置超时控制
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30秒超时
 
-        // 监控网络响应
-        this.page.on('response', async response => {
-            const url = response.url();
-            if (!url.includes('/aweme/v1/web/aweme/post')) {
-                return;
-            }
-            console.log('url', url);
-            // 只记录 JSON 响应
-            if (response.request().resourceType() === 'fetch' || response.request().resourceType() === 'xhr') {
-                try {
-                    let responseBody = null;
-                    try {
-                        responseBody = await response.json();
-                    } catch (e) {
-                        // 如果不是 JSON 格式，忽略错误
-                    }
-
-                    if (responseBody) {
-                        const responseData = {
-                            url: url,
-                            status: response.status(),
-                            headers: response.headers(),
-                            timestamp: new Date().toISOString(),
-                            body: responseBody
-                        };
-
-                        // 保存响应信息
-                        this.requestLogs.push({
-                            type: 'response',
-                            data: responseData
-                        });
-
-                        // 写入日志文件
-                        this.saveRequestLogs();
-
-                        console.log('Network Response:', JSON.stringify(responseData, null, 2));
-                    }
-                } catch (error) {
-                    console.error('Error logging response:', error);
+            try {
+                const response = await fetch(`https://www.douyin.com/aweme/v1/web/aweme/post/?${params.toString()}`, {
+                    method: 'GET',
+                    headers: {
+                        'Accept': 'application/json, text/plain, */*',
+                        'Accept-Language': 'zh-CN,zh;q=0.9'
+                    },
+                    credentials: 'include',
+                    signal: controller.signal
+                });
+
+                if (!response.ok) {
+                    throw new Error(`API 请求失败: ${response.status} ${response.statusText}`);
                 }
+
+                return await response.json();
+            } finally {
+                clearTimeout(timeoutId);
             }
-        });
+        }, secUid, maxCursor, count);
+
+        if (!data || data.status_code !== 0) {
+            throw new Error(`获取作品列表失败: ${data ? data.status_msg || data.status_code : '空响应'}`);
+        }
+
+        return {
+            awemes: data.aweme_list || [],
+            hasMore: Boolean(data.has_more),
+            maxCursor: data.max_cursor
+        };
     }
 
-    async loadCookies() {
+    /**
+     * 获取作者的一页作品，用于按游标分页查询
+     * @param {string} user - 作者主页URL或sec_uid
+     * @param {Object} [options] - 查询选项
+     * @param {number|string} [options.cursor] - 翻页游标，第一页为0，下一页使用上一页返回的 maxCursor
+     * @param {number} [options.count] - 每页作品数量，默认为 pageSize
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后不再等待浏览器实例
+     * @returns {Promise<Object>} - { secUid, awemes, hasMore, maxCursor }
+     */
+    async listPosts(user, options = {}) {
+        let browserInstance = null;
+        let failed = false;
+
         try {
-            if (fs.existsSync(this.cookiePath)) {
-                const cookiesString = fs.readFileSync(this.cookiePath, 'utf8');
-                const cookies = JSON.parse(cookiesString);
-                await this.page.setCookie(...cookies);
-                console.log('Cookies loaded successfully');
-            }
+            browserInstance = await this.browserPool.getBrowser({ signal: options.signal });
+            console.log(`Using browser instance ID: ${browserInstance.id} for post list`);
+            const page = browserInstance.page;
+
+            const secUid = await this.openUserPage(page, user);
+            const result = await this.fetchPostPage(page, secUid, options.cursor || 0, options.count || this.pageSize);
+
+            // 保存 cookies
+            await this.browserPool.saveCookies(browserInstance.id);
+
+            return {
+                secUid,
+                ...result
+            };
         } catch (error) {
-            console.error('Error loading cookies:', error);
+            failed = true;
+            throw error;
+        } finally {
+            if (browserInstance) {
+                console.log(`Releasing browser instance ID: ${browserInstance.id} back to pool`);
+                this.browserPool.releaseBrowser(browserInstance.id, { failed });
+            }
         }
     }
 
-    async saveCookies() {
+    /**
+     * 抓取作者的全部作品
+     * @param {string} user - 作者主页URL或sec_uid
+     * @param {Object} [options] - 抓取选项
+     * @param {boolean} [options.download] - 是否下载抓取到的作品
+     * @param {Object} [options.downloadOptions] - 传给下载器或任务队列的下载选项（quality、music、filenameTemplate）
+     * @param {number} [options.maxPages] - 最多抓取的页数，默认不限制
+     * @param {Function} [options.stopWhen] - 每页抓取后调用 (pageAwemes, secUid)，返回true时停止翻页
+     * @returns {Promise<Object>} - { secUid, awemes, downloads }
+     */
+    async crawl(user, options = {}) {
+        const maxPages = options.maxPages || Infinity;
+        const awemes = [];
+        let browserInstance = null;
+        let failed = false;
+        let secUid;
+
         try {
-            const cookies = await this.page.cookies();
-            fs.writeFileSync(this.cookiePath, JSON.stringify(cookies, null, 2));
-            console.log('Cookies saved successfully');
+            // 抓取作者作品耗时较长，让API请求优先获取实例
+            browserInstance = await this.browserPool.getBrowser({ priority: 'bulk' });
+            console.log(`Using browser instance ID: ${browserInstance.id} for author crawl`);
+            const page = browserInstance.page;
+
+            secUid = await this.openUserPage(page, user);
+            console.log('Crawling posts of sec_uid:', secUid);
+
+            let maxCursor = 0;
+            for (let pageIndex = 0; pageIndex < maxPages; pageIndex++) {
+                const result = await this.fetchPostPage(page, secUid, maxCursor);
+                awemes.push(...result.awemes);
+                console.log(`Fetched page ${pageIndex + 1}: ${result.awemes.length} posts, total: ${awemes.length}`);
+
+                if (!result.hasMore || result.awemes.length === 0) {
+                    break;
+                }
+                if (options.stopWhen && options.stopWhen(result.awemes, secUid)) {
+                    console.log('Stop condition reached, stopping pagination');
+                    break;
+                }
+                maxCursor = result.maxCursor;
+
+                await new Promise(resolve => setTimeout(resolve, this.pageDelay));
+            }
+
+            // 保存 cookies
+            await this.browserPool.saveCookies(browserInstance.id);
         } catch (error) {
-            console.error('Error saving cookies:', error);
+            failed = true;
+            throw error;
+        } finally {
+            if (browserInstance) {
+                console.log(`Releasing browser instance ID: ${browserInstance.id} back to pool`);
+                this.browserPool.releaseBrowser(browserInstance.id, { failed });
+            }
         }
+
+        // 作品列表中可能包含重复的置顶作品，按aweme_id去重
+        const uniqueAwemes = Array.from(new Map(awemes.map(aweme => [aweme.aweme_id, aweme])).values());
+
+        const downloads = options.download
+            ? await this.downloadAwemes(uniqueAwemes, options.downloadOptions)
+            : [];
+
+        return {
+            secUid,
+            awemes: uniqueAwemes,
+            downloads
+        };
     }
 
+    /**
+     * 增量同步作者的新作品
+     * 翻页到已归档的作品时停止，只下载上次同步之后发布的作品；
+     * 下载失败的作品会在下次同步时重试，排队中的任务在下次同步时核对状态，失败时重试，仍未完成时不重复提交
+     * @param {string} user - 作者主页URL或sec_uid
+     * @param {Object} [options] - 同步选项
+     * @param {Object} [options.downloadOptions] - 传给下载器或任务队列的下载选项
+     * @param {number} [options.maxPages] - 最多抓取的页数，默认不限制
+     * @returns {Promise<Object>} - { secUid, newAwemes, downloads, state }
+     */
+    async sync(user, options = {}) {
+        const result = await this.crawl(user, {
+            maxPages: options.maxPages,
+            // 置顶作品可能很旧，不能作为停止依据
+            stopWhen: (pageAwemes, secUid) => {
+                const state = this.syncState.get(secUid);
+                return Boolean(state) && pageAwemes.some(aweme => !aweme.is_top && aweme.create_time <= state.newestCreateTime);
+            }
+        });
 
-    async close() {
-        if (this.browser) {
-            await this.browser.close();
+        const { secUid } = result;
+        const previousState = this.syncState.get(secUid);
+        const newAwemes = previousState
+            ? result.awemes.filter(aweme => aweme.create_time > previousState.newestCreateTime)
+            : result.awemes;
+        console.log(`Found ${newAwemes.length} new posts of ${secUid}`);
+
+        // 本次新作品加上次未完成的作品：任务仍在排队或执行时不重复提交，失败或已不在队列中的重新下载
+        const targets = newAwemes.map(aweme => this._toDownloadTarget(aweme));
+        const inProgress = [];
+        for (const pending of (previousState && previousState.pendingAwemes) || []) {
+            if (targets.some(target => target.awemeId === pending.awemeId)) {
+                continue;
+            }
+            const job = pending.jobId && this.jobQueue ? this.jobQueue.getJob(pending.jobId) : null;
+            if (job && job.state === JOB_STATES.DONE) {
+                continue;
+            }
+            if (job && job.state !== JOB_STATES.FAILED) {
+                inProgress.push(pending);
+                continue;
+            }
+            targets.push({ awemeId: pending.awemeId, url: pending.url });
         }
+
+        const downloads = await this._downloadTargets(targets, options.downloadOptions);
+
+        // 排队中的任务记下任务ID，与下载失败的作品一起在下次同步时核对
+        const pendingAwemes = [...inProgress];
+        targets.forEach((target, index) => {
+            const download = downloads[index];
+            if (download.jobId) {
+                pendingAwemes.push({ ...target, jobId: download.jobId });
+            } else if (download.success === false) {
+                pendingAwemes.push(target);
+            }
+        });
+
+        // 记录已发现的最新作品
+        const newest = [...newAwemes].sort((a, b) => b.create_time - a.create_time)[0];
+        const state = {
+            newestAwemeId: newest ? newest.aweme_id : previousState && previousState.newestAwemeId,
+            newestCreateTime: newest ? newest.create_time : previousState && previousState.newestCreateTime,
+            pendingAwemes
+        };
+        this.syncState.set(secUid, state);
+
+        return {
+            secUid,
+            newAwemes,
+            downloads,
+            state: this.syncState.get(secUid)
+        };
     }
-    saveRequestLogs() {
-        const logsDir = path.join(__dirname, '../logs');
-        if (!fs.existsSync(logsDir)) {
-            fs.mkdirSync(logsDir);
-        }
-    
-        const logFile = path.join(logsDir, `network_logs_${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
-        fs.writeFileSync(logFile, JSON.stringify(this.requestLogs, null, 2));
+
+    /**
+     * 下载作品：有任务队列时提交异步任务，否则逐个通过下载器下载
+     * @param {Array<Object>} awemes - 作品列表
+     * @param {Object} [downloadOptions] - 下载选项
+     * @returns {Promise<Array<Object>>} - 每个作品的任务或下载结果
+     */
+    async downloadAwemes(awemes, downloadOptions = {}) {
+        return this._downloadTargets(awemes.map(aweme => this._toDownloadTarget(aweme)), downloadOptions);
     }
 
+    /**
+     * 将作品转换为下载目标
+     * @private
+     * @param {Object} aweme - 作品列表中的 aweme 对象
+     * @returns {Object} - { awemeId, url }
+     */
+    _toDownloadTarget(aweme) {
+        return {
+            awemeId: aweme.aweme_id,
+            url: AuthorCrawler.getAwemeUrl(aweme)
+        };
+    }
+
+    /**
+     * 下载一组目标
+     * @private
+     * @param {Array<Object>} targets - { awemeId, url } 列表
+     * @param {Object} [downloadOptions] - 下载选项
+     * @returns {Promise<Array<Object>>} - 每个目标的任务或下载结果
+     */
+    async _downloadTargets(targets, downloadOptions = {}) {
+        const downloads = [];
 
+        for (const target of targets) {
+            if (this.jobQueue) {
+                // 任务队列已满时记录为失败而不是中断整个抓取，同步时会在下次重试
+                try {
+                    const job = this.jobQueue.submit(target.url, downloadOptions);
+                    downloads.push({ awemeId: target.awemeId, jobId: job.id });
+                } catch (error) {
+                    console.error(`Error queueing aweme ${target.awemeId}:`, error.message);
+                    downloads.push({ awemeId: target.awemeId, success: false, error: error.message });
+                }
+                continue;
+            }
+
+            if (!this.downloader) {
+                throw new Error('未提供下载器，无法下载作品');
+            }
+
+            try {
+                const result = await this.downloader.download(target.url, { priority: 'bulk', ...downloadOptions });
+                downloads.push({ awemeId: target.awemeId, success: true, result });
+            } catch (error) {
+                console.error(`Error downloading aweme ${target.awemeId}:`, error);
+                downloads.push({ awemeId: target.awemeId, success: false, error: error.message });
+            }
+        }
+
+        return downloads;
+    }
+
+    /**
+     * 关闭自行创建的浏览器池
+     */
+    async close() {
+        if (this.ownsBrowserPool) {
+            await this.browserPool.closeAll();
+        }
+    }
 }
 
+module.exports = { AuthorCrawler };
+
 // 使用示例
-async function main() {
-    const downloader = new DouyinDownloader();
+// 用法: node src/author.js [sync] [作者主页URL或sec_uid] [--download]
+if (require.main === module) {
+    const { DouyinDownloader } = require('./index');
 
-    try {
-        await downloader.init();
+    /**
+     * 主函数 - 程序入口
+     */
+    async function main() {
+        const args = process.argv.slice(2);
+        const isSync = args[0] === 'sync';
+        const positional = args.filter(arg => !arg.startsWith('--')).slice(isSync ? 1 : 0);
+        const user = positional[0]
+            || 'https://www.douyin.com/user/MS4wLjABAAAAf_-Gk22IqG3WU1goRr7xD2Ry0YjgfEQI1wfVT8HkO8BAqqQl8QvXhWkf5e_pWP3B';
+        const download = args.includes('--download');
 
-        await downloader.page.goto('https://www.douyin.com/user/MS4wLjABAAAAf_-Gk22IqG3WU1goRr7xD2Ry0YjgfEQI1wfVT8HkO8BAqqQl8QvXhWkf5e_pWP3B');
-        await downloader.page.waitForSelector('[data-e2e="user-post-list"]', { timeout: 10000 });
+        const downloader = new DouyinDownloader();
+        const crawler = new AuthorCrawler({ downloader });
+
+        try {
+            if (isSync) {
+                const result = await crawler.sync(user);
+                const failed = result.downloads.filter(item => item.success === false).length;
+                console.log(`Synced ${result.secUid}: ${result.newAwemes.length} new posts, ${failed} failed downloads`);
+                return;
+            }
 
-    } catch (error) {
-        console.error('Error:', error);
-    } finally {
-        await downloader.close();
+            const result = await crawler.crawl(user, { download });
+            console.log(`Crawled ${result.awemes.length} posts of ${result.secUid}`);
+            for (const aweme of result.awemes) {
+                console.log(`${aweme.aweme_id}\t${aweme.desc}`);
+            }
+        } catch (error) {
+            console.error('Error:', error);
+        } finally {
+            await downloader.close();
+        }
     }
-}
 
-// 运行主函数
-main().catch(console.error); 
\ No newline at end of file
+    main().catch(console.error);
+}
@@ -0,0 +1,181 @@
+/**
+ * awemeParser.js
+ * 将 aweme detail 接口返回的 aweme_detail 转换为下载器使用的视频/图文信息对象。
+ */
+
+/**
+ * 判断作品是否为图文（note）作品
+ * @param {Object} awemeDetail - 接口返回的 aweme_detail
+ * @returns {boolean} - 是否为图文作品
+ */
+function isImagePost(awemeDetail) {
+    return Array.isArray(awemeDetail.images) && awemeDetail.images.length > 0;
+}
+
+/**
+ * 从图片地址列表中选择一个地址，优先选择非webp格式
+ * @param {Array<string>} urlList - 图片地址列表
+ * @returns {string|null} - 图片地址
+ */
+function pickImageUrl(urlList) {
+    if (!Array.isArray(urlList) || urlList.length === 0) {
+        return null;
+    }
+    return urlList.find(url => !url.includes('.webp')) || urlList[0];
+}
+
+/**
+ * 解析作品的背景音乐（原声）信息
+ * @param {Object} music - aweme_detail.music
+ * @returns {Object|null} - 音乐信息，没有音乐时返回null
+ */
+function parseMusic(music) {
+    if (!music) {
+        return null;
+    }
+
+    const playUrl = music.play_url && Array.isArray(music.play_url.url_list) ? music.play_url.url_list[0] : null;
+    const cover = music.cover_large || music.cover_medium || music.cover_thumb || {};
+
+    return {
+        id: music.id_str || (music.id ? String(music.id) : null),
+        title: music.title || null,
+        author: music.author || null,
+        duration: music.duration || null,
+        coverUrl: cover.url_list ? cover.url_list[0] : null,
+        playUrl: playUrl || null
+    };
+}
+
+/**
+ * 解析 video.bit_rate 中的各清晰度变体
+ * @param {Object} video - aweme_detail.video
+ * @returns {Array<Object>} - 变体列表，包含分辨率、编码、码率、大小和地址
+ */
+function parseVariants(video) {
+    if (!Array.isArray(video.bit_rate)) {
+        return [];
+    }
+
+    return video.bit_rate
+        .filter(item => item.play_addr && Array.isArray(item.play_addr.url_list) && item.play_addr.url_list.length > 0)
+        .map(item => ({
+            gearName: item.gear_name || null,
+            qualityType: item.quality_type,
+            bitRate: item.bit_rate,
+            codec: item.is_h265 || item.is_bytevc1 ? 'h265' : 'h264',
+            width: item.play_addr.width || null,
+            height: item.play_addr.height || null,
+            fps: item.FPS || null,
+            format: item.format || 'mp4',
+            dataSize: item.play_addr.data_size,
+            url: item.play_addr.url_list[0]
+        }));
+}
+
+/**
+ * 生成规范化的作品元数据，用于写入 .json 附属文件
+ * @param {Object} awemeDetail - 接口返回的 aweme_detail
+ * @returns {Object} - 元数据对象
+ */
+function normalizeMetadata(awemeDetail) {
+    const author = awemeDetail.author || {};
+    const statistics = awemeDetail.statistics || {};
+    const video = awemeDetail.video || {};
+    const createTime = awemeDetail.create_time || null;
+
+    // text_extra 中 hashtag_name 不为空的项即为话题
+    const hashtags = (awemeDetail.text_extra || [])
+        .map(item => item.hashtag_name)
+        .filter(Boolean);
+
+    return {
+        awemeId: awemeDetail.aweme_id || null,
+        type: isImagePost(awemeDetail) ? 'note' : 'video',
+        desc: awemeDetail.desc || '',
+        createTime,
+        createDate: createTime ? new Date(createTime * 1000).toISOString() : null,
+        author: {
+            uid: author.uid || null,
+            secUid: author.sec_uid || null,
+            uniqueId: author.unique_id || null,
+            shortId: author.short_id || null,
+            nickname: author.nickname || null
+        },
+        statistics: {
+            diggCount: statistics.digg_count || 0,
+            commentCount: statistics.comment_count || 0,
+            shareCount: statistics.share_count || 0,
+            collectCount: statistics.collect_count || 0,
+            playCount: statistics.play_count || 0
+        },
+        hashtags,
+        video: {
+            width: video.width || null,
+            height: video.height || null,
+            ratio: video.ratio || null,
+            duration: video.duration || null
+        },
+        music: parseMusic(awemeDetail.music)
+    };
+}
+
+/**
+ * 解析 aweme_detail
+ * @param {Object} awemeDetail - 接口返回的 aweme_detail
+ * @returns {Object} - 视频信息对象，type 为 'video' 或 'note'
+ */
+function parseAwemeDetail(awemeDetail) {
+    if (!awemeDetail) {
+        throw new Error('响应中缺少aweme_detail数据');
+    }
+
+    const video = awemeDetail.video || {};
+    const cover = video.dynamic_cover || video.origin_cover || video.cover || {};
+    const music = parseMusic(awemeDetail.music);
+    const baseInfo = {
+        title: awemeDetail.desc || '未命名视频',
+        author: awemeDetail.author ? awemeDetail.author.nickname : '未知作者',
+        coverUrl: cover.url_list ? cover.url_list[0] : null,
+        music,
+        metadata: normalizeMetadata(awemeDetail)
+    };
+
+    // 图文作品：返回图片列表和背景音乐
+    if (isImagePost(awemeDetail)) {
+        const images = awemeDetail.images
+            .map(image => pickImageUrl(image.url_list))
+            .filter(Boolean);
+
+        return {
+            type: 'note',
+            ...baseInfo,
+            coverUrl: baseInfo.coverUrl || images[0] || null,
+            images,
+            musicUrl: music ? music.playUrl : null,
+            videoUrl: null,
+            duration: video.duration || null,
+            dataSize: null
+        };
+    }
+
+    if (!awemeDetail.video) {
+        throw new Error('响应中缺少video数据');
+    }
+
+    const playAddr = video.play_addr;
+    if (!playAddr || !playAddr.url_list || playAddr.url_list.length === 0) {
+        throw new Error('响应中缺少视频URL');
+    }
+
+    return {
+        type: 'video',
+        ...baseInfo,
+        videoUrl: playAddr.url_list[0],
+        duration: video.duration,
+        dataSize: playAddr.data_size,
+        variants: parseVariants(video)
+    };
+}
+
+module.exports = { parseAwemeDetail, normalizeMetadata, isImagePost };
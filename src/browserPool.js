@@ -1,6 +1,11 @@
 const puppeteer = require('puppeteer');
-const fs = require('fs');
-const path = require('path');
+const { CookieStore, DEFAULT_ACCOUNT } = require('./cookieStore');
+
+// 获取实例的优先级，排在前面的优先分配：interactive 用于API请求，bulk 用于批量抓取和后台下载任务
+const LEASE_PRIORITIES = ['interactive', 'bulk'];
+
+// 每次获取实例时使用的页面：shared 复用实例的页面，page 在实例中新开页面，context 新开独立的浏览器上下文（类似无痕窗口）
+const PAGE_ISOLATION_MODES = ['shared', 'page', 'context'];
 
 /**
  * 浏览器实例池管理器
@@ -13,80 +18,386 @@ class BrowserPool {
      * @param {number} options.maxPoolSize - 池中最大浏览器实例数量
      * @param {number} options.maxQueueSize - 最大等待队列长度
      * @param {number} options.browserTimeout - 浏览器实例空闲超时时间(ms)
+     * @param {CookieStore} options.cookieStore - 账号cookie存储，默认使用 cookies/accounts
+     * @param {number} options.maxConsecutiveFailures - 实例连续失败多少次后被回收
+     * @param {number} options.maxUses - 实例最多被使用多少次后被回收
+     * @param {number} options.maxAge - 实例创建多久后被回收(ms)，长时间运行的浏览器会占用越来越多内存
+     * @param {number} options.queueTimeout - 请求在等待队列中的默认超时时间(ms)
+     * @param {string} options.pageIsolation - 默认的页面隔离方式：shared（默认）、page 或 context
      */
     constructor(options = {}) {
         this.maxPoolSize = options.maxPoolSize || 5;
         this.maxQueueSize = options.maxQueueSize || 100;
         this.browserTimeout = options.browserTimeout || 300000; // 5分钟
+        this.maxConsecutiveFailures = options.maxConsecutiveFailures || 3;
+        this.maxUses = options.maxUses || 200;
+        this.maxAge = options.maxAge || 60 * 60 * 1000; // 1小时
+        this.queueTimeout = options.queueTimeout || 60000; // 1分钟
+        this.pageIsolation = options.pageIsolation || 'shared';
+        if (!PAGE_ISOLATION_MODES.includes(this.pageIsolation)) {
+            throw new Error(`Invalid page isolation mode: ${this.pageIsolation}`);
+        }
         
         this.pool = []; // 活跃的浏览器实例
-        this.queue = []; // 等待队列
-        this.cookiesDir = path.join(__dirname, '../cookies');
-        
-        // 确保cookies目录存在
-        if (!fs.existsSync(this.cookiesDir)) {
-            fs.mkdirSync(this.cookiesDir, { recursive: true });
-        }
+        this.queue = []; // 等待队列，按优先级排序，同一优先级先到先得
+        this.creating = 0; // 正在启动的实例数量，计入池大小
+        this.closing = false;
+        this.cookieStore = options.cookieStore || new CookieStore();
         
         console.log(`Browser pool initialized with max size: ${this.maxPoolSize}, max queue: ${this.maxQueueSize}`);
     }
     
     /**
      * 获取一个浏览器实例
-     * @returns {Promise<Object>} - 返回浏览器实例和页面
+     * 池已满时进入等待队列，直到有实例被释放或回收后创建的新实例分配给该请求
+     * @param {Object} [options] - 获取选项
+     * @param {string} [options.priority] - 优先级：interactive（默认）或 bulk
+     * @param {number} [options.timeout] - 在等待队列中的超时时间(ms)，默认使用 queueTimeout
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后请求离开等待队列
+     * @param {string} [options.isolation] - 本次使用的页面隔离方式，默认使用 pageIsolation
+     * @returns {Promise<Object>} - 返回浏览器实例和页面，page 为本次使用的页面，释放后失效
      */
-    async getBrowser() {
+    async getBrowser(options = {}) {
+        const priority = options.priority || 'interactive';
+        if (!LEASE_PRIORITIES.includes(priority)) {
+            throw new Error(`Invalid browser lease priority: ${priority}`);
+        }
+        const isolation = options.isolation || this.pageIsolation;
+        if (!PAGE_ISOLATION_MODES.includes(isolation)) {
+            throw new Error(`Invalid page isolation mode: ${isolation}`);
+        }
+        if (options.signal && options.signal.aborted) {
+            throw this._createAbortError(options.signal);
+        }
+        
+        // 回收已崩溃或达到回收条件的空闲实例，空出位置
+        for (const instance of this.pool.filter(b => !b.inUse && this._getRecycleReason(b))) {
+            this._removeInstance(instance, this._getRecycleReason(instance));
+        }
+        
         // 检查是否有空闲的浏览器实例
         const availableBrowser = this.pool.find(b => !b.inUse);
         
         if (availableBrowser) {
             console.log(`Reusing browser instance ID: ${availableBrowser.id}`);
             availableBrowser.inUse = true;
+            availableBrowser.uses++;
             availableBrowser.lastUsed = Date.now();
-            return availableBrowser;
+            return this._openLease(availableBrowser, isolation);
         }
         
         // 如果池未满，创建新实例
-        if (this.pool.length < this.maxPoolSize) {
-            const newBrowser = await this._createBrowserInstance();
-            this.pool.push(newBrowser);
-            console.log(`Created new browser instance ID: ${newBrowser.id}, pool size: ${this.pool.length}`);
-            return newBrowser;
+        if (this.pool.length + this.creating < this.maxPoolSize) {
+            let newBrowser;
+            try {
+                newBrowser = await this._addBrowserInstance();
+            } catch (error) {
+                // 启动失败时空出的位置交给等待中的请求，否则它们只能等到超时
+                this._replaceForQueue();
+                throw error;
+            }
+            return this._openLease(newBrowser, isolation);
         }
         
         // 如果池已满，加入等待队列
         if (this.queue.length >= this.maxQueueSize) {
-            throw new Error('Browser pool queue is full, request rejected');
+            const error = new Error('Browser pool queue is full, request rejected');
+            error.status = 503;
+            throw error;
         }
         
-        console.log('Browser pool is full, adding request to queue');
-        return new Promise((resolve, reject) => {
-            const queueItem = { resolve, reject, timestamp: Date.now() };
-            this.queue.push(queueItem);
+        console.log(`Browser pool is full, adding ${priority} request to queue`);
+        const browserInstance = await new Promise((resolve, reject) => {
+            const waiter = { priority, resolve, reject, timestamp: Date.now(), settled: false };
+            const timeout = options.timeout || this.queueTimeout;
+            
+            waiter.timer = setTimeout(() => {
+                const error = new Error(`Request timed out in queue after ${timeout}ms`);
+                error.status = 503;
+                this._rejectWaiter(waiter, error);
+            }, timeout);
+            
+            if (options.signal) {
+                waiter.signal = options.signal;
+                waiter.onAbort = () => this._rejectWaiter(waiter, this._createAbortError(options.signal));
+                options.signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            
+            // 插入到最后一个优先级相同或更高的请求之后
+            const rank = LEASE_PRIORITIES.indexOf(priority);
+            const index = this.queue.findIndex(item => LEASE_PRIORITIES.indexOf(item.priority) > rank);
+            this.queue.splice(index === -1 ? this.queue.length : index, 0, waiter);
         });
+        return this._openLease(browserInstance, isolation);
+    }
+    
+    /**
+     * 按隔离方式为本次使用准备页面，instance.page 在使用期间指向新页面
+     * @private
+     * @param {Object} browserInstance - 已标记为使用中的浏览器实例
+     * @param {string} isolation - 页面隔离方式
+     * @returns {Promise<Object>} - 浏览器实例
+     */
+    async _openLease(browserInstance, isolation) {
+        // 等待上一次使用的页面关闭，cookies写回实例后再开始
+        await browserInstance.teardown;
+        
+        if (isolation === 'shared') {
+            return browserInstance;
+        }
+        
+        let context = null;
+        let page = null;
+        try {
+            if (isolation === 'context') {
+                context = await browserInstance.browser.createBrowserContext();
+            }
+            page = await (context || browserInstance.browser).newPage();
+            page.on('error', browserInstance.onPageError);
+            await this._setupPage(page);
+            
+            // 独立上下文不共享cookies，复制实例当前的cookies
+            if (context) {
+                const cookies = await browserInstance.basePage.cookies('https://www.douyin.com');
+                if (cookies.length > 0) {
+                    await page.setCookie(...cookies);
+                }
+            }
+        } catch (error) {
+            console.error(`Error opening ${isolation} page for browser ID: ${browserInstance.id}:`, error);
+            const opened = context || page;
+            if (opened) {
+                opened.close().catch(() => {});
+            }
+            this.releaseBrowser(browserInstance.id, { failed: true });
+            throw error;
+        }
+        
+        browserInstance.page = page;
+        browserInstance.leaseContext = context;
+        return browserInstance;
+    }
+    
+    /**
+     * 结束本次使用：恢复实例的页面，移除崩溃监听器并关闭本次新开的页面或上下文，页面上注册的其他监听器随之移除
+     * 独立上下文中更新的cookies在关闭前写回实例的页面
+     * @private
+     * @param {Object} browserInstance - 浏览器实例
+     */
+    _closeLease(browserInstance) {
+        const page = browserInstance.page;
+        const context = browserInstance.leaseContext;
+        if (page === browserInstance.basePage) {
+            return;
+        }
+        
+        browserInstance.page = browserInstance.basePage;
+        browserInstance.leaseContext = null;
+        page.off('error', browserInstance.onPageError);
+        browserInstance.teardown = (async () => {
+            try {
+                if (context) {
+                    const cookies = await page.cookies('https://www.douyin.com');
+                    if (cookies.length > 0) {
+                        await browserInstance.basePage.setCookie(...cookies);
+                    }
+                }
+                await (context || page).close();
+            } catch (error) {
+                console.error(`Error closing leased page for browser ID: ${browserInstance.id}:`, error);
+            }
+        })();
+    }
+    
+    /**
+     * 结束等待：清除超时定时器和取消监听，并从队列中移除
+     * @private
+     * @param {Object} waiter - 等待中的请求
+     * @returns {boolean} - 请求此前是否仍在等待
+     */
+    _settleWaiter(waiter) {
+        if (waiter.settled) {
+            return false;
+        }
+        waiter.settled = true;
+        clearTimeout(waiter.timer);
+        if (waiter.signal) {
+            waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+        const index = this.queue.indexOf(waiter);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+        return true;
+    }
+    
+    /**
+     * 以错误结束等待中的请求
+     * @private
+     * @param {Object} waiter - 等待中的请求
+     * @param {Error} error - 错误
+     */
+    _rejectWaiter(waiter, error) {
+        if (this._settleWaiter(waiter)) {
+            console.log(`Queued browser request rejected: ${error.message}`);
+            waiter.reject(error);
+        }
+    }
+    
+    /**
+     * 将实例交给等待中的请求，并标记为使用中
+     * @private
+     * @param {Object} browserInstance - 浏览器实例
+     * @param {Object} waiter - 等待中的请求
+     * @returns {boolean} - 是否交付成功，请求已超时或被取消时返回false
+     */
+    _handOff(browserInstance, waiter) {
+        if (!this._settleWaiter(waiter)) {
+            return false;
+        }
+        browserInstance.inUse = true;
+        browserInstance.uses++;
+        browserInstance.lastUsed = Date.now();
+        console.log(`Handing browser instance ID: ${browserInstance.id} to queued ${waiter.priority} request`);
+        waiter.resolve(browserInstance);
+        return true;
+    }
+    
+    /**
+     * 创建取消错误
+     * @private
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Error} - 取消错误
+     */
+    _createAbortError(signal) {
+        if (signal.reason instanceof Error) {
+            return signal.reason;
+        }
+        const error = new Error('Browser request was aborted');
+        error.name = 'AbortError';
+        return error;
     }
     
     /**
      * 释放浏览器实例
+     * 实例崩溃、连续失败次数或使用次数达到上限时不再放回池中，而是关闭并为等待的请求创建新实例
      * @param {string} browserId - 浏览器实例ID
+     * @param {Object} [options] - 释放选项
+     * @param {boolean} [options.failed] - 本次使用是否失败，true 累加连续失败次数，false 清零；未指定时不改变
      */
-    releaseBrowser(browserId) {
+    releaseBrowser(browserId, options = {}) {
         const index = this.pool.findIndex(b => b.id === browserId);
         
         if (index !== -1) {
-            this.pool[index].inUse = false;
-            this.pool[index].lastUsed = Date.now();
+            const browserInstance = this.pool[index];
+            this._closeLease(browserInstance);
+            browserInstance.inUse = false;
+            browserInstance.lastUsed = Date.now();
+            if (options.failed) {
+                browserInstance.consecutiveFailures++;
+            } else if (options.failed === false) {
+                browserInstance.consecutiveFailures = 0;
+            }
             console.log(`Released browser instance ID: ${browserId}`);
             
+            const recycleReason = this._getRecycleReason(browserInstance);
+            if (recycleReason) {
+                this._removeInstance(browserInstance, recycleReason);
+                return;
+            }
+            
             // 检查是否有等待的请求
             if (this.queue.length > 0) {
-                const nextRequest = this.queue.shift();
-                console.log('Processing next queued request');
-                nextRequest.resolve(this.pool[index]);
+                this._handOff(browserInstance, this.queue[0]);
             }
         }
     }
     
+    /**
+     * 判断实例是否需要回收
+     * @private
+     * @param {Object} browserInstance - 浏览器实例
+     * @returns {string|null} - 回收原因，不需要回收时返回null
+     */
+    _getRecycleReason(browserInstance) {
+        if (!browserInstance.healthy) {
+            return 'browser crashed or disconnected';
+        }
+        if (browserInstance.consecutiveFailures >= this.maxConsecutiveFailures) {
+            return `${browserInstance.consecutiveFailures} consecutive failures`;
+        }
+        if (browserInstance.uses >= this.maxUses) {
+            return `reached ${browserInstance.uses} uses`;
+        }
+        if (Date.now() - browserInstance.createdAt >= this.maxAge) {
+            return `older than ${this.maxAge}ms`;
+        }
+        return null;
+    }
+    
+    /**
+     * 从池中移除并关闭实例，有等待的请求时创建新实例替代
+     * @private
+     * @param {Object} browserInstance - 浏览器实例
+     * @param {string} reason - 移除原因
+     */
+    _removeInstance(browserInstance, reason) {
+        const index = this.pool.indexOf(browserInstance);
+        if (index === -1) {
+            return;
+        }
+        
+        this.pool.splice(index, 1);
+        console.log(`Removing browser instance ID: ${browserInstance.id} (${reason}), pool size: ${this.pool.length}`);
+        
+        browserInstance.browser.close().catch(error => {
+            console.error(`Error closing browser ID: ${browserInstance.id}:`, error);
+        });
+        
+        this._replaceForQueue();
+    }
+    
+    /**
+     * 池有空位且有等待的请求时，创建新实例交给队首的请求
+     * @private
+     */
+    _replaceForQueue() {
+        if (this.closing || this.queue.length === 0 || this.pool.length + this.creating >= this.maxPoolSize) {
+            return;
+        }
+        
+        console.log('Creating replacement browser instance for queued request');
+        this._addBrowserInstance().then(browserInstance => {
+            // 新实例已标记为使用中，先释放再交给队首的请求；请求已超时或被取消时由下一个请求使用
+            // 创建时计入的一次使用在交付时重新计数
+            browserInstance.uses--;
+            this.releaseBrowser(browserInstance.id);
+        }, error => {
+            if (this.queue.length > 0) {
+                this._rejectWaiter(this.queue[0], error);
+            }
+        });
+    }
+    
+    /**
+     * 创建新实例并加入池中，启动期间占用池的一个位置
+     * @private
+     * @returns {Promise<Object>} - 已标记为使用中的浏览器实例
+     */
+    async _addBrowserInstance() {
+        this.creating++;
+        let newBrowser;
+        try {
+            newBrowser = await this._createBrowserInstance();
+        } finally {
+            this.creating--;
+        }
+        
+        this.pool.push(newBrowser);
+        console.log(`Created new browser instance ID: ${newBrowser.id}, pool size: ${this.pool.length}`);
+        return newBrowser;
+    }
+    
     /**
      * 创建新的浏览器实例
      * @private
@@ -94,7 +405,8 @@ class BrowserPool {
      */
     async _createBrowserInstance() {
         const id = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
-        const cookiePath = path.join(this.cookiesDir, `cookies_${id}.json`);
+        // 为实例分配使用最少的账号，没有导入账号时使用默认账号保存会话cookies
+        const account = this.cookieStore.pickAccount({ usage: this._getAccountUsage() }) || DEFAULT_ACCOUNT;
         
         // 启动浏览器
         const browser = await puppeteer.launch({
@@ -158,6 +470,60 @@ class BrowserPool {
         // 创建新页面
         const page = await browser.newPage();
         
+        await this._setupPage(page);
+        
+        // 加载账号已保存的 cookies
+        try {
+            const cookies = this.cookieStore.getCookies(account);
+            if (cookies.length > 0) {
+                await page.setCookie(...cookies);
+                console.log(`Cookies of account ${account} loaded for browser ID: ${id}`);
+            }
+        } catch (error) {
+            console.error(`Error loading cookies for browser ID: ${id}:`, error);
+        }
+        
+        const browserInstance = {
+            id,
+            browser,
+            page,
+            basePage: page, // 实例自身的页面，隔离模式下 page 在使用期间指向新开的页面
+            leaseContext: null,
+            teardown: null, // 上一次使用的页面的关闭过程
+            onPageError: null, // 页面崩溃监听器，实例的页面和隔离模式下新开的页面共用
+            account,
+            inUse: true,
+            healthy: true,
+            uses: 1,
+            consecutiveFailures: 0,
+            createdAt: Date.now(),
+            lastUsed: Date.now()
+        };
+        
+        // 浏览器进程退出或断开连接后，空闲实例立即移除，使用中的实例在释放时回收
+        browser.on('disconnected', () => {
+            browserInstance.healthy = false;
+            if (!browserInstance.inUse) {
+                this._removeInstance(browserInstance, 'browser disconnected');
+            }
+        });
+        
+        // 页面崩溃后实例不再可用
+        browserInstance.onPageError = error => {
+            console.error(`Page crashed in browser ID: ${id}:`, error);
+            browserInstance.healthy = false;
+        };
+        page.on('error', browserInstance.onPageError);
+        
+        return browserInstance;
+    }
+    
+    /**
+     * 设置页面的视口、User-Agent和反检测脚本
+     * @private
+     * @param {Object} page - Puppeteer页面实例
+     */
+    async _setupPage(page) {
         // 设置视口大小
         await page.setViewport({ width: 1280, height: 800 });
         
@@ -179,28 +545,6 @@ class BrowserPool {
                 get: () => ['zh-CN', 'zh'],
             });
         });
-        
-        // 尝试加载已保存的 cookies
-        try {
-            if (fs.existsSync(cookiePath)) {
-                const cookiesString = fs.readFileSync(cookiePath, 'utf8');
-                const cookies = JSON.parse(cookiesString);
-                await page.setCookie(...cookies);
-                console.log(`Cookies loaded for browser ID: ${id}`);
-            }
-        } catch (error) {
-            console.error(`Error loading cookies for browser ID: ${id}:`, error);
-        }
-        
-        return {
-            id,
-            browser,
-            page,
-            cookiePath,
-            inUse: true,
-            createdAt: Date.now(),
-            lastUsed: Date.now()
-        };
     }
     
     /**
@@ -217,59 +561,166 @@ class BrowserPool {
         
         try {
             const cookies = await browserInstance.page.cookies();
-            fs.writeFileSync(browserInstance.cookiePath, JSON.stringify(cookies, null, 2));
-            console.log(`Cookies saved for browser ID: ${browserId}`);
+            this.cookieStore.setCookies(browserInstance.account, cookies);
+            console.log(`Cookies saved to account ${browserInstance.account} for browser ID: ${browserId}`);
         } catch (error) {
             console.error(`Error saving cookies for browser ID: ${browserId}:`, error);
         }
     }
     
     /**
-     * 清理长时间未使用的浏览器实例
+     * 统计每个账号被多少个浏览器实例使用
+     * @private
+     * @returns {Object} - 账号名到实例数量的映射
      */
-    async cleanup() {
-        const now = Date.now();
-        const toRemove = [];
+    _getAccountUsage() {
+        const usage = {};
+        for (const instance of this.pool) {
+            usage[instance.account] = (usage[instance.account] || 0) + 1;
+        }
+        return usage;
+    }
+
+    /**
+     * 记录实例所用账号的请求失败，账号因连续失败被暂停使用时为实例切换账号
+     * @param {string} browserId - 浏览器实例ID
+     */
+    async reportAccountFailure(browserId) {
+        const browserInstance = this.pool.find(b => b.id === browserId);
+        if (!browserInstance) {
+            return;
+        }
+
+        if (this.cookieStore.reportFailure(browserInstance.account)) {
+            await this.switchAccount(browserId);
+        }
+    }
+
+    /**
+     * 记录实例所用账号的请求成功
+     * @param {string} browserId - 浏览器实例ID
+     */
+    reportAccountSuccess(browserId) {
+        const browserInstance = this.pool.find(b => b.id === browserId);
+        if (browserInstance) {
+            this.cookieStore.reportSuccess(browserInstance.account);
+        }
+    }
+
+    /**
+     * 为实例切换到另一个可用账号，替换页面中的cookies
+     * @param {string} browserId - 浏览器实例ID
+     * @returns {Promise<string>} - 切换后的账号名，没有其他可用账号时保持不变
+     */
+    async switchAccount(browserId) {
+        const browserInstance = this.pool.find(b => b.id === browserId);
+        if (!browserInstance) {
+            return null;
+        }
+
+        const nextAccount = this.cookieStore.pickAccount({
+            usage: this._getAccountUsage(),
+            exclude: [browserInstance.account]
+        });
+        if (!nextAccount) {
+            console.log(`No other cookie account available for browser ID: ${browserId}`);
+            return browserInstance.account;
+        }
+
+        try {
+            await this._applyAccountCookies(browserInstance, nextAccount);
+            console.log(`Browser ID: ${browserId} switched from account ${browserInstance.account} to ${nextAccount}`);
+            browserInstance.account = nextAccount;
+        } catch (error) {
+            console.error(`Error switching account for browser ID: ${browserId}:`, error);
+        }
+
+        return browserInstance.account;
+    }
+
+    /**
+     * 用账号保存的cookies替换页面中抖音域名下的cookies
+     * @private
+     * @param {Object} browserInstance - 浏览器实例
+     * @param {string} account - 账号名
+     */
+    async _applyAccountCookies(browserInstance, account) {
+        // 独立上下文中的页面不共享cookies，需要一并替换，避免释放时写回旧的cookies
+        const pages = [browserInstance.basePage];
+        if (browserInstance.leaseContext) {
+            pages.push(browserInstance.page);
+        }
         
-        // 找出超时的浏览器实例
-        for (let i = 0; i < this.pool.length; i++) {
-            const instance = this.pool[i];
-            
-            // 只清理未使用的实例
-            if (!instance.inUse && (now - instance.lastUsed > this.browserTimeout)) {
-                toRemove.push(i);
+        const cookies = this.cookieStore.getCookies(account);
+        for (const page of pages) {
+            const currentCookies = await page.cookies('https://www.douyin.com');
+            if (currentCookies.length > 0) {
+                await page.deleteCookie(...currentCookies);
+            }
+            if (cookies.length > 0) {
+                await page.setCookie(...cookies);
             }
         }
-        
-        // 从后往前移除，避免索引变化问题
-        for (let i = toRemove.length - 1; i >= 0; i--) {
-            const index = toRemove[i];
-            const instance = this.pool[index];
-            
-            console.log(`Closing idle browser instance ID: ${instance.id}`);
-            
+    }
+
+    /**
+     * 账号的cookies被重新导入后，更新正在使用该账号的实例，无需重启浏览器
+     * @param {string} account - 账号名
+     * @returns {Promise<number>} - 更新的实例数量
+     */
+    async refreshAccount(account) {
+        const instances = this.pool.filter(b => b.account === account);
+        for (const browserInstance of instances) {
             try {
-                await instance.browser.close();
+                await this._applyAccountCookies(browserInstance, account);
+                console.log(`Cookies of account ${account} reloaded for browser ID: ${browserInstance.id}`);
             } catch (error) {
-                console.error(`Error closing browser ID: ${instance.id}:`, error);
+                console.error(`Error reloading cookies for browser ID: ${browserInstance.id}:`, error);
             }
-            
-            this.pool.splice(index, 1);
         }
+        return instances.length;
+    }
+
+    /**
+     * 账号被删除后，为正在使用该账号的实例切换到其他账号，没有其他账号时清空cookies并使用默认账号
+     * @param {string} account - 账号名
+     * @returns {Promise<number>} - 切换的实例数量
+     */
+    async detachAccount(account) {
+        const instances = this.pool.filter(b => b.account === account);
+        for (const browserInstance of instances) {
+            const nextAccount = this.cookieStore.pickAccount({
+                usage: this._getAccountUsage(),
+                exclude: [account]
+            }) || DEFAULT_ACCOUNT;
+            try {
+                await this._applyAccountCookies(browserInstance, nextAccount);
+                console.log(`Browser ID: ${browserInstance.id} switched from deleted account ${account} to ${nextAccount}`);
+            } catch (error) {
+                console.error(`Error switching account for browser ID: ${browserInstance.id}:`, error);
+            }
+            // 即使替换cookies失败也不再写回已删除的账号
+            browserInstance.account = nextAccount;
+        }
+        return instances.length;
+    }
+    
+    /**
+     * 清理长时间未使用或需要回收的浏览器实例
+     * 等待队列中的请求由各自的超时时间处理，不在这里清理
+     */
+    async cleanup() {
+        const now = Date.now();
         
-        console.log(`Cleanup completed, removed ${toRemove.length} instances, pool size: ${this.pool.length}`);
-        
-        // 清理过期的队列请求
-        const queueTimeout = 60000; // 1分钟
-        const expiredRequests = this.queue.filter(req => now - req.timestamp > queueTimeout);
+        // 找出超时或需要回收的空闲实例
+        const toRemove = this.pool.filter(instance => !instance.inUse
+            && (now - instance.lastUsed > this.browserTimeout || this._getRecycleReason(instance)));
         
-        for (const req of expiredRequests) {
-            const index = this.queue.indexOf(req);
-            if (index !== -1) {
-                this.queue.splice(index, 1);
-                req.reject(new Error('Request timed out in queue'));
-            }
+        for (const instance of toRemove) {
+            this._removeInstance(instance, this._getRecycleReason(instance) || 'idle timeout');
         }
+        
+        console.log(`Cleanup completed, removed ${toRemove.length} instances, pool size: ${this.pool.length}`);
     }
     
     /**
@@ -277,8 +728,13 @@ class BrowserPool {
      */
     async closeAll() {
         console.log(`Closing all browser instances (${this.pool.length})...`);
+        this.closing = true;
         
-        for (const instance of this.pool) {
+        // 先清空池，避免关闭时触发的 disconnected 事件修改正在遍历的数组
+        const instances = this.pool;
+        this.pool = [];
+        
+        for (const instance of instances) {
             try {
                 await instance.browser.close();
                 console.log(`Closed browser instance ID: ${instance.id}`);
@@ -287,14 +743,11 @@ class BrowserPool {
             }
         }
         
-        this.pool = [];
-        
         // 拒绝所有等待的请求
-        for (const req of this.queue) {
-            req.reject(new Error('Browser pool is shutting down'));
+        for (const waiter of [...this.queue]) {
+            this._rejectWaiter(waiter, new Error('Browser pool is shutting down'));
         }
         
-        this.queue = [];
         console.log('All browser instances closed');
     }
     
@@ -324,4 +777,4 @@ class BrowserPool {
     }
 }
 
-module.exports = { BrowserPool };
+module.exports = { BrowserPool, LEASE_PRIORITIES, PAGE_ISOLATION_MODES };
@@ -0,0 +1,534 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// 没有导入任何账号时，浏览器会话的cookies保存在该账号下
+const DEFAULT_ACCOUNT = 'default';
+
+// 账号名同时是文件名，只允许安全的字符
+const ACCOUNT_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+// 抖音登录态cookie
+const SESSION_COOKIE_NAMES = ['sessionid', 'sessionid_ss', 'sid_tt'];
+
+/**
+ * 将浏览器导出的 sameSite 值转换为Puppeteer使用的格式
+ * @param {string} sameSite - 导出的 sameSite 值
+ * @returns {string|undefined} - Strict、Lax、None，无法识别时返回undefined
+ */
+function normalizeSameSite(sameSite) {
+    const value = String(sameSite || '').toLowerCase();
+    if (value === 'strict') {
+        return 'Strict';
+    }
+    if (value === 'lax') {
+        return 'Lax';
+    }
+    if (value === 'none' || value === 'no_restriction') {
+        return 'None';
+    }
+    return undefined;
+}
+
+/**
+ * 解析 Netscape 格式的 cookies.txt
+ * @param {string} content - 文件内容
+ * @returns {Array<Object>} - Puppeteer格式的cookies
+ */
+function parseNetscapeCookies(content) {
+    const cookies = [];
+    for (const rawLine of content.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        let httpOnly = false;
+        // curl 等工具用 #HttpOnly_ 前缀标记 HttpOnly cookie
+        if (line.startsWith('#HttpOnly_')) {
+            line = line.slice('#HttpOnly_'.length);
+            httpOnly = true;
+        }
+        if (!line || line.startsWith('#')) {
+            continue;
+        }
+
+        const fields = line.split('\t');
+        if (fields.length < 7) {
+            continue;
+        }
+        const [domain, , cookiePath, secure, expires, name, ...valueParts] = fields;
+        cookies.push({
+            name,
+            value: valueParts.join('\t'),
+            domain,
+            path: cookiePath || '/',
+            expires: parseInt(expires, 10) > 0 ? parseInt(expires, 10) : -1,
+            httpOnly,
+            secure: secure.toUpperCase() === 'TRUE'
+        });
+    }
+    return cookies;
+}
+
+/**
+ * 解析 "a=1; b=2" 形式的cookie字符串，域名默认为 .douyin.com
+ * @param {string} cookieString - cookie字符串
+ * @returns {Array<Object>} - Puppeteer格式的cookies
+ */
+function parseCookieString(cookieString) {
+    return cookieString
+        .split(';')
+        .map(part => part.trim())
+        .filter(part => part.includes('='))
+        .map(part => {
+            const index = part.indexOf('=');
+            return {
+                name: part.slice(0, index).trim(),
+                value: part.slice(index + 1).trim(),
+                domain: '.douyin.com',
+                path: '/',
+                expires: -1
+            };
+        });
+}
+
+/**
+ * 解析cookies，支持以下格式：
+ * - Netscape cookies.txt
+ * - 浏览器插件（EditThisCookie、Cookie-Editor）或Puppeteer导出的JSON数组，也可以包在 { cookies: [...] } 中
+ * - { "cookie": "a=1; b=2" } 或 "a=1; b=2" 形式的cookie字符串
+ * @param {string|Array|Object} content - 文件内容或已解析的JSON
+ * @returns {Array<Object>} - Puppeteer格式的cookies
+ */
+function parseCookies(content) {
+    let data = content;
+
+    if (typeof content === 'string') {
+        const text = content.trim();
+        if (text.startsWith('[') || text.startsWith('{') || text.startsWith('"')) {
+            try {
+                data = JSON.parse(text);
+            } catch (parseError) {
+                const error = new Error(`无效的cookies格式: JSON解析失败 (${parseError.message})`);
+                error.status = 400;
+                throw error;
+            }
+        } else if (text.includes('\t')) {
+            return parseNetscapeCookies(text);
+        } else {
+            return parseCookieString(text);
+        }
+    }
+
+    if (typeof data === 'string') {
+        return parseCookieString(data);
+    }
+    if (data && !Array.isArray(data)) {
+        if (typeof data.cookie === 'string') {
+            return parseCookieString(data.cookie);
+        }
+        data = data.cookies;
+    }
+    if (!Array.isArray(data)) {
+        const error = new Error('无法识别的cookies格式');
+        error.status = 400;
+        throw error;
+    }
+
+    return data
+        .filter(item => item && item.name && item.value !== undefined)
+        .map(item => {
+            // 浏览器插件导出的过期时间字段为 expirationDate，会话cookie没有该字段
+            const expires = item.expirationDate !== undefined ? item.expirationDate : item.expires;
+            const cookie = {
+                name: item.name,
+                value: String(item.value),
+                domain: item.domain || '.douyin.com',
+                path: item.path || '/',
+                expires: expires > 0 ? Math.floor(expires) : -1,
+                httpOnly: Boolean(item.httpOnly),
+                secure: Boolean(item.secure)
+            };
+            const sameSite = normalizeSameSite(item.sameSite);
+            if (sameSite) {
+                cookie.sameSite = sameSite;
+            }
+            return cookie;
+        });
+}
+
+/**
+ * 多账号cookie存储
+ * 每个账号的cookies和状态保存在 cookies/accounts/{账号名}.json 中，浏览器池实例和无浏览器的HTTP请求共用
+ */
+class CookieStore {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.dir - 账号文件目录，默认为 cookies/accounts
+     * @param {number} options.maxFailures - 连续失败多少次后暂停使用该账号
+     * @param {number} options.cooldown - 账号暂停使用的时间(ms)
+     */
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(__dirname, '../cookies/accounts');
+        this.maxFailures = options.maxFailures || 3;
+        this.cooldown = options.cooldown || 30 * 60 * 1000; // 30分钟
+
+        // 确保存储目录存在
+        if (!fs.existsSync(this.dir)) {
+            fs.mkdirSync(this.dir, { recursive: true });
+        }
+
+        // 使用默认目录时导入旧版本的cookies文件
+        if (!options.dir) {
+            this._migrateLegacyCookies();
+        }
+    }
+
+    /**
+     * 校验账号名，避免生成目录外的文件路径
+     * @private
+     * @param {string} name - 账号名
+     */
+    _validateName(name) {
+        if (typeof name !== 'string' || !ACCOUNT_NAME_PATTERN.test(name)) {
+            const error = new Error('账号名只能包含字母、数字、下划线和短横线，且不超过64个字符');
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * 账号文件路径，所有读写都经过这里，账号名不合法时抛出400错误
+     * @private
+     * @param {string} name - 账号名
+     * @returns {string} - 文件路径
+     */
+    _accountPath(name) {
+        this._validateName(name);
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    /**
+     * 读取账号
+     * @private
+     * @param {string} name - 账号名
+     * @returns {Object|null} - 账号对象，不存在时返回null
+     */
+    _readAccount(name) {
+        const account = readJsonFile(this._accountPath(name), null);
+        // 以文件对应的账号名为准，不使用文件内容中的 name 字段
+        return account ? { ...account, name } : null;
+    }
+
+    /**
+     * 写入账号
+     * @private
+     * @param {string} name - 账号名
+     * @param {Object} account - 账号对象
+     */
+    _writeAccount(name, account) {
+        writeJsonFile(this._accountPath(name), { ...account, name });
+    }
+
+    /**
+     * 首次使用时导入旧版本的cookies：项目根目录的 cookies.json 或浏览器池保存的 cookies/cookies_*.json
+     * @private
+     */
+    _migrateLegacyCookies() {
+        if (this.listAccounts().length > 0) {
+            return;
+        }
+
+        const rootCookieFile = path.join(__dirname, '../cookies.json');
+        const legacyDir = path.dirname(this.dir);
+        let legacyFile = null;
+        if (fs.existsSync(rootCookieFile)) {
+            legacyFile = rootCookieFile;
+        } else if (fs.existsSync(legacyDir)) {
+            legacyFile = fs.readdirSync(legacyDir)
+                .filter(file => /^cookies_.+\.json$/.test(file))
+                .map(file => path.join(legacyDir, file))
+                .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0] || null;
+        }
+
+        if (legacyFile) {
+            try {
+                this.importCookies(DEFAULT_ACCOUNT, fs.readFileSync(legacyFile, 'utf8'));
+                console.log(`Imported legacy cookies from ${legacyFile} as account: ${DEFAULT_ACCOUNT}`);
+            } catch (error) {
+                console.error(`Error importing legacy cookies from ${legacyFile}:`, error);
+            }
+        }
+    }
+
+    /**
+     * 导入cookies到账号，账号不存在时创建
+     * @param {string} name - 账号名
+     * @param {string|Array|Object} content - cookies内容，支持的格式见 parseCookies
+     * @returns {Object} - 账号概要
+     */
+    importCookies(name, content) {
+        this._validateName(name);
+        const cookies = parseCookies(content);
+        if (cookies.length === 0) {
+            const error = new Error('没有解析到任何cookie');
+            error.status = 400;
+            throw error;
+        }
+
+        // 重新导入的cookies需要重新检查登录状态
+        this.setCookies(name, cookies, { resetStatus: true });
+        return this.getAccount(name);
+    }
+
+    /**
+     * 保存账号的cookies，例如浏览器会话更新后的cookies
+     * @param {string} name - 账号名
+     * @param {Array<Object>} cookies - Puppeteer格式的cookies
+     * @param {Object} [options] - 保存选项
+     * @param {boolean} [options.resetStatus] - 是否清除登录检查结果、失败次数和暂停状态
+     */
+    setCookies(name, cookies, options = {}) {
+        const existing = this._readAccount(name);
+        const now = new Date().toISOString();
+        const status = {
+            failures: 0,
+            disabledUntil: null,
+            loggedIn: null,
+            checkedAt: null
+        };
+        this._writeAccount(name, {
+            createdAt: now,
+            ...status,
+            ...existing,
+            ...(options.resetStatus ? status : {}),
+            cookies,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * 获取账号的cookies
+     * @param {string} name - 账号名
+     * @returns {Array<Object>} - Puppeteer格式的cookies，账号不存在时返回空数组
+     */
+    getCookies(name) {
+        const account = name ? this._readAccount(name) : null;
+        return account ? account.cookies : [];
+    }
+
+    /**
+     * 获取账号在抖音域名下未过期的cookies，拼接为请求头使用的字符串
+     * @param {string} name - 账号名
+     * @returns {string} - cookie字符串，没有可用的cookies时返回空字符串
+     */
+    getCookieString(name) {
+        const now = Date.now() / 1000;
+        return this.getCookies(name)
+            .filter(cookie => /douyin\.com$/.test(cookie.domain || '') && (!(cookie.expires > 0) || cookie.expires > now))
+            .map(cookie => `${cookie.name}=${cookie.value}`)
+            .join('; ');
+    }
+
+    /**
+     * 获取账号概要（不包含cookie值）
+     * @param {string} name - 账号名
+     * @returns {Object|null} - 账号概要，不存在时返回null
+     */
+    getAccount(name) {
+        const account = this._readAccount(name);
+        if (!account) {
+            return null;
+        }
+
+        const { cookies, ...summary } = account;
+        return {
+            ...summary,
+            cookieCount: cookies.length,
+            hasSession: this._hasSessionCookie(cookies),
+            coolingDown: Boolean(account.disabledUntil && account.disabledUntil > Date.now())
+        };
+    }
+
+    /**
+     * 列出所有账号概要
+     * @returns {Array<Object>} - 账号概要列表
+     */
+    listAccounts() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+        return fs.readdirSync(this.dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .filter(name => ACCOUNT_NAME_PATTERN.test(name))
+            .map(name => this.getAccount(name))
+            .filter(Boolean);
+    }
+
+    /**
+     * 删除账号
+     * @param {string} name - 账号名
+     * @returns {boolean} - 账号是否存在并已删除
+     */
+    deleteAccount(name) {
+        const accountPath = this._accountPath(name);
+        if (!fs.existsSync(accountPath)) {
+            return false;
+        }
+        fs.unlinkSync(accountPath);
+        return true;
+    }
+
+    /**
+     * 是否包含未过期的登录态cookie
+     * @private
+     * @param {Array<Object>} cookies - cookies
+     * @returns {boolean} - 是否包含登录态cookie
+     */
+    _hasSessionCookie(cookies) {
+        const now = Date.now() / 1000;
+        return cookies.some(cookie => SESSION_COOKIE_NAMES.includes(cookie.name)
+            && cookie.value
+            && (!(cookie.expires > 0) || cookie.expires > now));
+    }
+
+    /**
+     * 检查账号是否仍处于登录状态，并记录检查结果
+     * @param {string} name - 账号名
+     * @returns {Promise<Object>} - { loggedIn, nickname, checkedAt }，loggedIn 为null表示无法确定（例如网络错误）
+     */
+    async validateAccount(name) {
+        const account = this._readAccount(name);
+        if (!account) {
+            const error = new Error(`账号不存在: ${name}`);
+            error.status = 404;
+            throw error;
+        }
+
+        let loggedIn = false;
+        let nickname = null;
+        if (this._hasSessionCookie(account.cookies)) {
+            try {
+                const response = await axios.get('https://www.douyin.com/passport/web/account/info/', {
+                    timeout: 15000,
+                    headers: {
+                        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                        'Referer': 'https://www.douyin.com/',
+                        'Cookie': this.getCookieString(name)
+                    }
+                });
+                const data = response.data && response.data.data;
+                loggedIn = Boolean(data && (data.user_id || data.user_id_str));
+                nickname = loggedIn ? data.screen_name || data.name || null : null;
+            } catch (error) {
+                console.error(`Error validating cookie account ${name}:`, error.message);
+                loggedIn = null;
+            }
+        }
+
+        const result = { loggedIn, nickname, checkedAt: new Date().toISOString() };
+        this._writeAccount(name, { ...this._readAccount(name), ...result });
+        return result;
+    }
+
+    /**
+     * 选择一个可用的账号，暂停使用中的账号不会被选中
+     * 优先选择被浏览器实例使用最少、已登录、失败次数最少的账号
+     * @param {Object} [options] - 选择选项
+     * @param {Object} [options.usage] - 账号名到当前使用数量的映射
+     * @param {Array<string>} [options.exclude] - 不选择的账号
+     * @returns {string|null} - 账号名，没有可用账号时返回null
+     */
+    pickAccount(options = {}) {
+        const usage = options.usage || {};
+        const exclude = options.exclude || [];
+        const now = Date.now();
+
+        const candidates = this.listAccounts()
+            .filter(account => !exclude.includes(account.name) && !(account.disabledUntil && account.disabledUntil > now))
+            .sort((a, b) => (usage[a.name] || 0) - (usage[b.name] || 0)
+                || Number(b.loggedIn === true) - Number(a.loggedIn === true)
+                || a.failures - b.failures
+                || a.name.localeCompare(b.name));
+
+        return candidates.length > 0 ? candidates[0].name : null;
+    }
+
+    /**
+     * 记录账号请求失败，连续失败达到上限时暂停使用该账号
+     * @param {string} name - 账号名
+     * @returns {boolean} - 账号是否因此被暂停使用
+     */
+    reportFailure(name) {
+        const account = name ? this._readAccount(name) : null;
+        if (!account) {
+            return false;
+        }
+
+        account.failures = (account.failures || 0) + 1;
+        account.lastFailureAt = new Date().toISOString();
+        const disabled = account.failures >= this.maxFailures;
+        if (disabled) {
+            account.disabledUntil = Date.now() + this.cooldown;
+            account.failures = 0;
+            console.log(`Cookie account ${name} failed ${this.maxFailures} times, cooling down for ${this.cooldown}ms`);
+        }
+
+        this._writeAccount(name, account);
+        return disabled;
+    }
+
+    /**
+     * 记录账号请求成功，清除连续失败次数
+     * @param {string} name - 账号名
+     */
+    reportSuccess(name) {
+        const account = name ? this._readAccount(name) : null;
+        if (account && account.failures) {
+            account.failures = 0;
+            this._writeAccount(name, account);
+        }
+    }
+}
+
+module.exports = { CookieStore, parseCookies, DEFAULT_ACCOUNT };
+
+// 用法:
+//   node src/cookieStore.js import <账号名> <cookies文件>   导入 cookies.txt 或浏览器导出的JSON
+//   node src/cookieStore.js list                          列出所有账号
+//   node src/cookieStore.js validate <账号名>              检查账号是否仍处于登录状态
+//   node src/cookieStore.js delete <账号名>                删除账号
+if (require.main === module) {
+    /**
+     * 主函数 - 程序入口
+     */
+    async function main() {
+        const [command, name, file] = process.argv.slice(2);
+        const cookieStore = new CookieStore();
+
+        if (command === 'import') {
+            const account = cookieStore.importCookies(name, fs.readFileSync(file, 'utf8'));
+            console.log(`Imported ${account.cookieCount} cookies as account: ${account.name}`);
+        } else if (command === 'validate') {
+            const result = await cookieStore.validateAccount(name);
+            console.log(`Account ${name} logged in: ${result.loggedIn}${result.nickname ? ` (${result.nickname})` : ''}`);
+        } else if (command === 'delete') {
+            console.log(cookieStore.deleteAccount(name) ? `Deleted account: ${name}` : `Account not found: ${name}`);
+        } else {
+            console.table(cookieStore.listAccounts().map(account => ({
+                name: account.name,
+                cookies: account.cookieCount,
+                session: account.hasSession,
+                loggedIn: account.loggedIn,
+                failures: account.failures,
+                coolingDown: account.coolingDown,
+                updatedAt: account.updatedAt
+            })));
+        }
+    }
+
+    main().catch(error => {
+        console.error('Error:', error.message);
+        process.exit(1);
+    });
+}
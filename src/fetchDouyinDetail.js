@@ -1,5 +1,3 @@
-const fs = require('fs');
-const path = require('path');
 /**
  * fetchDouyinDetail.js
  * 实现无需浏览器即可请求抖音 aweme detail 接口，注意反爬虫措施。
@@ -82,42 +80,16 @@ async function fetchDouyinDetail(awemeId, cookie = '') {
 /**
  * 命令行测试入口
  */
-/**
- * 从 cookies.json 文件读取 cookie 字符串
- * @returns {string} - 返回拼接好的 cookie 字符串
- */
-function readCookieFromFile() {
-    try {
-        const cookieFilePath = path.join(__dirname, '../cookies.json');
-        if (!fs.existsSync(cookieFilePath)) {
-            console.warn('未找到 cookies.json 文件，未设置 Cookie');
-            return '';
-        }
-        const cookieJson = fs.readFileSync(cookieFilePath, 'utf8');
-        // 假设 cookies.json 为对象格式 { "cookie": "xxx=yyy; ..." }
-        const cookieObj = JSON.parse(cookieJson);
-        if (typeof cookieObj === 'string') {
-            return cookieObj;
-        } else if (cookieObj.cookie) {
-            return cookieObj.cookie;
-        } else if (Array.isArray(cookieObj)) {
-            // 兼容数组格式
-            return cookieObj.map(item => item.name && item.value ? `${item.name}=${item.value}` : '').filter(Boolean).join('; ');
-        }
-        return '';
-    } catch (err) {
-        console.error('读取 cookies.json 失败:', err.message);
-        return '';
-    }
-}
 if (require.main === module) {
     const awemeId = process.argv[2];
     if (!awemeId) {
         console.error('请提供aweme_id参数，例如: node fetchDouyinDetail.js 7498656370800086323');
         process.exit(1);
     }
-    // 自动读取 cookies.json
-    const cookie = readCookieFromFile();
+    // 使用账号cookie存储中的cookies
+    const { CookieStore } = require('./cookieStore');
+    const cookieStore = new CookieStore();
+    const cookie = cookieStore.getCookieString(cookieStore.pickAccount());
     fetchDouyinDetail(awemeId, cookie)
         .then(data => {
             console.log('抖音视频信息:', JSON.stringify(data, null, 2));
@@ -0,0 +1,143 @@
+/**
+ * filenameTemplate.js
+ * 根据模板生成下载文件名，例如 "{author}/{create_date}_{aweme_id}_{title:40}"。
+ *
+ * 模板中 "/" 用于分隔子目录，"{字段:N}" 表示将该字段截断为最多 N 个字符。
+ * 可用字段：title、desc、author、author_uid、sec_uid、aweme_id、type、create_date、create_time
+ */
+
+const DEFAULT_TEMPLATE = '{title}';
+
+// 单个路径片段的最大字节数，常见文件系统上限为255字节，需给 "_cover.jpg"、".mp4.part" 等后缀留出空间
+const MAX_SEGMENT_BYTES = 200;
+
+const FIELD_PATTERN = /\{([a-z_]+)(?::(\d+))?\}/g;
+
+// create_date、create_time 按北京时间（UTC+8）格式化，同一作品在不同时区的机器上得到相同的文件名
+const TIMEZONE_OFFSET_HOURS = 8;
+
+/**
+ * 将数字补齐为两位
+ * @param {number} value - 数字
+ * @returns {string} - 两位字符串
+ */
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * 从视频信息中取出模板字段的值
+ * @param {Object} videoInfo - getVideoInfo 返回的视频信息
+ * @returns {Object} - 字段名到字符串值的映射
+ */
+function getTemplateFields(videoInfo) {
+    const metadata = videoInfo.metadata || {};
+    const author = metadata.author || {};
+    // 平移到北京时间后使用UTC方法读取，结果不受服务器时区影响
+    const created = metadata.createTime ? new Date((metadata.createTime + TIMEZONE_OFFSET_HOURS * 3600) * 1000) : null;
+
+    return {
+        // 标题去掉话题标签，避免文件名过长
+        title: (videoInfo.title || '').replace(/#\S+/g, ''),
+        desc: videoInfo.title || '',
+        author: videoInfo.author || author.nickname || '',
+        author_uid: author.uid || '',
+        sec_uid: author.secUid || '',
+        aweme_id: videoInfo.videoId || metadata.awemeId || '',
+        type: videoInfo.type || 'video',
+        create_date: created
+            ? `${created.getUTCFullYear()}-${pad(created.getUTCMonth() + 1)}-${pad(created.getUTCDate())}`
+            : '',
+        create_time: created
+            ? `${created.getUTCFullYear()}${pad(created.getUTCMonth() + 1)}${pad(created.getUTCDate())}_${pad(created.getUTCHours())}${pad(created.getUTCMinutes())}${pad(created.getUTCSeconds())}`
+            : ''
+    };
+}
+
+/**
+ * 校验模板，包含未知字段时抛出错误
+ * @param {string} template - 文件名模板
+ */
+function validateTemplate(template) {
+    if (typeof template !== 'string' || !template.trim()) {
+        const error = new Error('文件名模板不能为空');
+        error.status = 400;
+        throw error;
+    }
+
+    const knownFields = Object.keys(getTemplateFields({}));
+    for (const match of template.matchAll(FIELD_PATTERN)) {
+        if (!knownFields.includes(match[1])) {
+            const error = new Error(`文件名模板中包含未知字段: ${match[1]}，可用字段为 ${knownFields.join('、')}`);
+            error.status = 400;
+            throw error;
+        }
+    }
+}
+
+/**
+ * 按UTF-8字节数截断字符串，不会截断到字符中间
+ * @param {string} text - 原字符串
+ * @param {number} maxBytes - 最大字节数
+ * @returns {string} - 截断后的字符串
+ */
+function truncateBytes(text, maxBytes) {
+    let result = '';
+    let bytes = 0;
+    for (const char of text) {
+        const charBytes = Buffer.byteLength(char);
+        if (bytes + charBytes > maxBytes) {
+            break;
+        }
+        result += char;
+        bytes += charBytes;
+    }
+    return result;
+}
+
+/**
+ * 清理单个路径片段：移除非法字符、控制字符和表情符号，合并空白并限制长度
+ * @param {string} segment - 路径片段
+ * @returns {string} - 清理后的片段
+ */
+function sanitizeSegment(segment) {
+    const cleaned = segment
+        .replace(/[\\/:*?"<>|]/g, '_')
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .replace(/[\p{Extended_Pictographic}\u200d\ufe0f]/gu, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        // 去掉首尾的点和空格，避免生成隐藏文件或Windows下非法的名称
+        .replace(/^[.\s]+|[.\s]+$/g, '');
+
+    return truncateBytes(cleaned, MAX_SEGMENT_BYTES).trim();
+}
+
+/**
+ * 根据模板渲染文件名
+ * @param {string} template - 文件名模板
+ * @param {Object} videoInfo - getVideoInfo 返回的视频信息
+ * @returns {Object} - { subdir, name }，subdir 为相对下载目录的子目录（可能为空字符串），name 为不含扩展名的文件名
+ */
+function renderFilename(template, videoInfo) {
+    const fields = getTemplateFields(videoInfo);
+
+    const rendered = (template || DEFAULT_TEMPLATE).replace(FIELD_PATTERN, (whole, field, maxLength) => {
+        // 字段值中的 "/" 不能被当作目录分隔符
+        const value = fields[field] !== undefined ? String(fields[field]).replace(/\//g, '_') : '';
+        return maxLength ? Array.from(value.trim()).slice(0, parseInt(maxLength, 10)).join('') : value;
+    });
+
+    const segments = rendered
+        .split('/')
+        .map(sanitizeSegment)
+        .filter(Boolean);
+
+    const name = segments.pop() || sanitizeSegment(fields.aweme_id) || 'untitled';
+    return {
+        subdir: segments.join('/'),
+        name
+    };
+}
+
+module.exports = { DEFAULT_TEMPLATE, renderFilename, validateTemplate, sanitizeSegment };
@@ -2,25 +2,72 @@ const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
 const { BrowserPool } = require('./browserPool');
+const { verifyVideoFile } = require('./verifyDownload');
+const { parseAwemeDetail } = require('./awemeParser');
+const { selectVariant } = require('./qualitySelector');
+const { DEFAULT_TEMPLATE, renderFilename, validateTemplate, sanitizeSegment } = require('./filenameTemplate');
+const { resolveShareLink } = require('./shareLinkParser');
+const { fetchDouyinDetail } = require('./fetchDouyinDetail');
+const { VideoInfoCache, CACHE_MODES } = require('./videoInfoCache');
+const { LibraryIndex } = require('./libraryIndex');
+
+// 视频信息获取策略：auto 先尝试HTTP再回退到浏览器，http 只使用HTTP，browser 只使用浏览器
+const RESOLVE_STRATEGIES = ['auto', 'http', 'browser'];
 
 class DouyinDownloader {
     /**
      * 构造函数
      * @param {Object} options - 配置选项
+     * @param {string} options.filenameTemplate - 文件名模板，例如 "{author}/{create_date}_{aweme_id}_{title:40}"
+     * @param {string} options.resolveStrategy - 视频信息获取策略：auto（默认）、http 或 browser
+     * @param {VideoInfoCache|Object} options.videoInfoCache - 视频信息缓存实例，或传给 VideoInfoCache 的配置选项
+     * @param {LibraryIndex} options.library - 已下载作品索引，默认使用 data/library.json
+     * @param {CookieStore} options.cookieStore - 账号cookie存储，默认使用 cookies/accounts
+     * @param {number} options.maxConsecutiveFailures - 浏览器实例连续失败多少次后被回收，默认3次
+     * @param {number} options.maxUses - 浏览器实例最多被使用多少次后被回收，默认200次
+     * @param {number} options.maxAge - 浏览器实例创建多久后被回收(ms)，默认1小时
+     * @param {number} options.queueTimeout - 等待浏览器实例的默认超时时间(ms)，默认1分钟
+     * @param {string} options.pageIsolation - 页面隔离方式：shared（默认，复用实例的页面）、page（每次新开页面）或 context（每次新开独立的浏览器上下文）
+     * @param {BrowserPool|Object} options.browserPool - 已有的浏览器池，需实现 getBrowser 和 releaseBrowser；提供时忽略上面的浏览器池配置，也不启动定期清理任务
+     * @param {string} options.downloadsDir - 下载目录，默认为项目目录下的 downloads
      */
     constructor(options = {}) {
-        // 创建浏览器池
-        this.browserPool = new BrowserPool({
-            maxPoolSize: options.maxPoolSize || 5,
-            maxQueueSize: options.maxQueueSize || 100,
-            browserTimeout: options.browserTimeout || 300000 // 5分钟
-        });
-        
-        // 启动定期清理任务
-        this.browserPool.startCleanupTask();
+        if (options.browserPool) {
+            this.browserPool = options.browserPool;
+        } else {
+            // 创建浏览器池
+            this.browserPool = new BrowserPool({
+                maxPoolSize: options.maxPoolSize || 5,
+                maxQueueSize: options.maxQueueSize || 100,
+                browserTimeout: options.browserTimeout || 300000, // 5分钟
+                maxConsecutiveFailures: options.maxConsecutiveFailures,
+                maxUses: options.maxUses,
+                maxAge: options.maxAge,
+                queueTimeout: options.queueTimeout,
+                pageIsolation: options.pageIsolation,
+                cookieStore: options.cookieStore
+            });
+
+            // 启动定期清理任务
+            this.browserPool.startCleanupTask();
+        }
+        this.cookieStore = options.cookieStore || this.browserPool.cookieStore;
+        // HTTP获取视频信息时各账号的使用次数，用于轮换账号
+        this.httpAccountUsage = {};
         
         this.maxRetries = options.maxRetries || 3;
         this.retryDelay = options.retryDelay || 5000; // 5秒
+        this.downloadsDir = options.downloadsDir || path.join(__dirname, '../downloads');
+        this.filenameTemplate = options.filenameTemplate || DEFAULT_TEMPLATE;
+        validateTemplate(this.filenameTemplate);
+        this.resolveStrategy = options.resolveStrategy || 'auto';
+        this._validateStrategy(this.resolveStrategy);
+        this.videoInfoCache = options.videoInfoCache instanceof VideoInfoCache
+            ? options.videoInfoCache
+            : new VideoInfoCache(options.videoInfoCache);
+        this.library = options.library || new LibraryIndex();
+        // 下载中的文件名（子目录/文件名），下载结束前其他作品不能使用
+        this.reservedFilenames = new Set();
         this.dynamicsDomainV3 = [
             "https://v3-default.365yg.com",
             "https://v3-xgwap.ixigua.com",
@@ -476,45 +523,211 @@ class DouyinDownloader {
         }
     }
 
+    /**
+     * 校验视频信息获取策略
+     * @private
+     * @param {string} strategy - 获取策略
+     */
+    _validateStrategy(strategy) {
+        if (!RESOLVE_STRATEGIES.includes(strategy)) {
+            const error = new Error(`无效的获取策略: ${strategy}，可用策略为 ${RESOLVE_STRATEGIES.join('、')}`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
+    /**
+     * 校验缓存使用方式
+     * @private
+     * @param {string} cacheMode - 缓存使用方式
+     */
+    _validateCacheMode(cacheMode) {
+        if (!CACHE_MODES.includes(cacheMode)) {
+            const error = new Error(`无效的缓存参数: ${cacheMode}，可用值为 ${CACHE_MODES.join('、')}`);
+            error.status = 400;
+            throw error;
+        }
+    }
+
     /**
      * 获取视频信息
+     * 优先使用缓存；未命中时先使用浏览器池保存的cookies直接请求接口，失败时再打开浏览器页面获取
      * @param {string} videoUrl - 抖音视频URL
-     * @returns {Promise<Object>} - 视频信息对象
+     * @param {Object} [options] - 获取选项
+     * @param {string} [options.strategy] - 获取策略：auto、http 或 browser，默认使用构造函数中的 resolveStrategy
+     * @param {string} [options.cache] - 缓存使用方式：use（默认）、bypass 或 refresh
+     * @param {boolean} [options.requireUrls] - 是否需要有效的CDN地址，为true时不使用地址已过期的缓存
+     * @param {string} [options.priority] - 获取浏览器实例的优先级：interactive（默认）或 bulk
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后不再等待浏览器实例
+     * @returns {Promise<Object>} - 视频信息对象，source 字段表示实际使用的方式（cache、http 或 browser）
      */
-    async getVideoInfo(videoUrl) {
-        let browserInstance = null;
+    async getVideoInfo(videoUrl, options = {}) {
+        const strategy = options.strategy || this.resolveStrategy;
+        this._validateStrategy(strategy);
+        const cacheMode = options.cache || 'use';
+        this._validateCacheMode(cacheMode);
         
+        // 启动浏览器之前先通过HTTP解析分享链接，得到作品ID
+        let link = null;
         try {
-            // 从浏览器池获取一个浏览器实例
-            console.log('Getting browser instance from pool...');
-            browserInstance = await this.browserPool.getBrowser();
-            const page = browserInstance.page;
+            link = await resolveShareLink(videoUrl);
+        } catch (error) {
+            if (strategy === 'http') {
+                throw error;
+            }
+            console.error('Error resolving share link, falling back to browser:', error.message);
+        }
+        if (link && link.type !== 'video' && link.type !== 'note') {
+            const error = new Error(`链接不是视频或图文作品: ${link.type}`);
+            error.status = 400;
+            throw error;
+        }
+        
+        if (link && cacheMode === 'use') {
+            const cached = this.videoInfoCache.get(link.id);
+            if (cached && !(options.requireUrls && cached.urlsExpired)) {
+                console.log(`Video info of ${link.id} served by cache`);
+                return {
+                    ...cached.videoInfo,
+                    source: 'cache',
+                    cachedAt: new Date(cached.cachedAt).toISOString(),
+                    urlsExpired: cached.urlsExpired
+                };
+            }
+        }
+        
+        let videoInfo = null;
+        if (strategy !== 'browser' && link) {
+            try {
+                videoInfo = await this._getVideoInfoByHttp(link.id);
+                console.log(`Video info of ${link.id} served by HTTP`);
+            } catch (error) {
+                if (strategy === 'http') {
+                    throw error;
+                }
+                console.log('HTTP fast path failed, falling back to browser:', error.message);
+            }
+        }
+        
+        if (!videoInfo) {
+            videoInfo = await this._getVideoInfoByBrowser(videoUrl, link, { priority: options.priority, signal: options.signal });
+            console.log(`Video info of ${videoInfo.videoId} served by browser`);
+        }
+        
+        if (cacheMode !== 'bypass') {
+            this.videoInfoCache.set(videoInfo.videoId, videoInfo);
+        }
+        return videoInfo;
+    }
+
+    /**
+     * 使用账号cookie存储中的cookies直接请求 aweme detail 接口获取视频信息，不打开浏览器
+     * @private
+     * @param {string} videoId - 作品ID
+     * @returns {Promise<Object>} - 视频信息对象
+     */
+    async _getVideoInfoByHttp(videoId) {
+        // 按本下载器发出的请求次数轮换账号，跳过冷却中的账号
+        const account = this.cookieStore.pickAccount({ usage: this.httpAccountUsage });
+        const cookie = account ? this.cookieStore.getCookieString(account) : '';
+        if (!cookie) {
+            throw new Error('没有可用的cookies，无法直接请求接口');
+        }
+        this.httpAccountUsage[account] = (this.httpAccountUsage[account] || 0) + 1;
+        
+        // 接口缺少签名参数时也会失败，请求本身的失败与账号无关，不计入账号的失败次数
+        const data = await fetchDouyinDetail(videoId, cookie);
+        // cookies失效时接口仍返回 status_code 0，但 aweme_detail 为空，parseAwemeDetail 会抛出错误
+        if (!data.aweme_detail) {
+            this.cookieStore.reportFailure(account);
+        }
+        const videoInfo = this._buildVideoInfo(data.aweme_detail, videoId, 'http');
+        this.cookieStore.reportSuccess(account);
+        return videoInfo;
+    }
+
+    /**
+     * 将 aweme_detail 解析为视频信息，并补充下载所需的字段
+     * @private
+     * @param {Object} awemeDetail - 接口返回的 aweme_detail
+     * @param {string} videoId - 作品ID
+     * @param {string} source - 获取方式：http 或 browser
+     * @returns {Object} - 视频信息对象
+     */
+    _buildVideoInfo(awemeDetail, videoId, source) {
+        const videoInfo = parseAwemeDetail(awemeDetail);
+
+        if (videoInfo.type === 'note') {
+            console.log(`Image post detected with ${videoInfo.images.length} images`);
+        } else {
+            if (!videoInfo.videoUrl) {
+                throw new Error('无法获取视频URL');
+            }
             
-            // 添加控制台监控
-            page.on('console', msg => {
+            videoInfo.videoUrl = this._rewriteVideoDomain(videoInfo.videoUrl);
+            for (const variant of videoInfo.variants) {
+                variant.url = this._rewriteVideoDomain(variant.url);
+            }
+
+            // 计算视频的大小，字节数转成MB
+            videoInfo.dataSizeMB = (videoInfo.dataSize / 1024 / 1024).toFixed(2) + 'MB';
+        }
+        console.log('Video Info:', videoInfo);
+        videoInfo.videoId = videoId;
+        videoInfo.source = source;
+
+        return videoInfo;
+    }
+
+    /**
+     * 打开浏览器页面，在页面内请求 aweme detail 接口获取视频信息
+     * @private
+     * @param {string} videoUrl - 抖音视频URL
+     * @param {Object|null} link - resolveShareLink 的解析结果，无法解析时为null
+     * @param {Object} [leaseOptions] - 传给 BrowserPool.getBrowser 的选项（priority、signal）
+     * @returns {Promise<Object>} - 视频信息对象
+     */
+    async _getVideoInfoByBrowser(videoUrl, link, leaseOptions = {}) {
+        let browserInstance = null;
+        let failed = false;
+        let page = null;
+        
+        // 页面监控，使用结束后移除，避免共享页面上的监听器越积越多
+        const pageListeners = {
+            console: msg => {
                 const type = msg.type();
                 const text = msg.text();
                 console.log(`[Browser Console][${type}] ${text}`);
-            });
-            
-            page.on('pageerror', error => {
+            },
+            pageerror: error => {
                 console.error('[Browser PageError]', error.message);
-            });
-            
-            page.on('requestfailed', request => {
+            },
+            requestfailed: request => {
                 console.error('[Browser RequestFailed]', 
                     `URL: ${request.url()}, ` +
                     `Method: ${request.method()}, ` +
                     `Reason: ${request.failure()?.errorText || 'Unknown'}, ` +
                     `ResourceType: ${request.resourceType()}`);
-            });
+            }
+        };
+        
+        try {
+            // 从浏览器池获取一个浏览器实例
+            console.log('Getting browser instance from pool...');
+            browserInstance = await this.browserPool.getBrowser(leaseOptions);
+            page = browserInstance.page;
+            
+            // 添加控制台监控
+            for (const [event, listener] of Object.entries(pageListeners)) {
+                page.on(event, listener);
+            }
             
             console.log(`Using browser instance ID: ${browserInstance.id}`);
             console.log('Navigating to video page...');
             
             // 使用更长的超时时间和更完整的等待策略
             try {
-                await page.goto(videoUrl, {
+                await page.goto(link ? link.url : videoUrl, {
                     waitUntil: 'networkidle2', // 等待网络基本空闲
                     timeout: 60000 // 60秒超时
                 });
@@ -658,56 +871,59 @@ class DouyinDownloader {
 
             
 
-            // 获取视频ID
-            let videoId;
-            try {
-                videoId = await page.evaluate(() => {
-                    const url = window.location.href;
-                    console.log('Current URL for ID extraction:', url);
-                    const match = url.match(/video\/(\d+)/);
-                    if (!match) {
-                        console.error('No video ID found in URL');
-                        return null;
-                    }
-                    return match[1];
-                });
+            // 获取视频ID，无法通过链接解析时从跳转后的页面地址中获取
+            let videoId = link ? link.id : null;
+            if (!videoId) {
+                try {
+                    videoId = await page.evaluate(() => {
+                        const url = window.location.href;
+                        console.log('Current URL for ID extraction:', url);
+                        // 视频为 /video/ID，图文作品为 /note/ID
+                        const match = url.match(/(?:video|note)\/(\d+)/);
+                        if (!match) {
+                            console.error('No video ID found in URL');
+                            return null;
+                        }
+                        return match[1];
+                    });
                 
-                if (!videoId) {
-                    // 尝试其他方法获取视频ID
-                    console.log('Trying alternative method to get video ID...');
+                    if (!videoId) {
+                        // 尝试其他方法获取视频ID
+                        console.log('Trying alternative method to get video ID...');
                     
-                    // 保存当前页面截图和HTML
-                    const debugDir = path.join(__dirname, '../debug');
-                    if (!fs.existsSync(debugDir)) {
-                        fs.mkdirSync(debugDir, { recursive: true });
-                    }
+                        // 保存当前页面截图和HTML
+                        const debugDir = path.join(__dirname, '../debug');
+                        if (!fs.existsSync(debugDir)) {
+                            fs.mkdirSync(debugDir, { recursive: true });
+                        }
                     
-                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                    const screenshotPath = path.join(debugDir, `no-id-${timestamp}.png`);
-                    const htmlPath = path.join(debugDir, `no-id-${timestamp}.html`);
+                        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                        const screenshotPath = path.join(debugDir, `no-id-${timestamp}.png`);
+                        const htmlPath = path.join(debugDir, `no-id-${timestamp}.html`);
                     
-                    await page.screenshot({ path: screenshotPath, fullPage: true });
-                    console.log(`Screenshot saved to: ${screenshotPath}`);
+                        await page.screenshot({ path: screenshotPath, fullPage: true });
+                        console.log(`Screenshot saved to: ${screenshotPath}`);
                     
-                    const html = await page.content();
-                    fs.writeFileSync(htmlPath, html);
-                    console.log(`HTML saved to: ${htmlPath}`);
+                        const html = await page.content();
+                        fs.writeFileSync(htmlPath, html);
+                        console.log(`HTML saved to: ${htmlPath}`);
                     
-                    throw new Error('无法获取视频ID');
+                        throw new Error('无法获取视频ID');
+                    }
+                } catch (error) {
+                    console.error('Error getting video ID:', error);
+                    throw error;
                 }
-            } catch (error) {
-                console.error('Error getting video ID:', error);
-                throw error;
             }
 
             console.log('Video ID:', videoId);
 
             // 获取视频信息
             console.log('Fetching video information...');
-            let videoInfo;
+            let awemeDetail;
             try {
                 // 使用设置更长超时的方式调用页面函数
-                videoInfo = await page.evaluate(async (aweme_id) => {
+                awemeDetail = await page.evaluate(async (aweme_id) => {
                     try {
                         console.log('Making API request...');
                         // 打印当前页面的cookie信息
@@ -771,32 +987,8 @@ class DouyinDownloader {
                             throw new Error('响应中缺少aweme_detail数据');
                         }
                         
-                        const aweme_detail = data.aweme_detail;
-                        
-                        if (!aweme_detail.video) {
-                            console.error('No video data in aweme_detail:', aweme_detail);
-                            throw new Error('响应中缺少video数据');
-                        }
-                        
-                        const video = aweme_detail.video;
-                        
-                        if (!video.play_addr || !video.play_addr.url_list || video.play_addr.url_list.length === 0) {
-                            console.error('No play_addr or url_list in video data:', video);
-                            throw new Error('响应中缺少视频URL');
-                        }
-                        
-                        const play_addr = video.play_addr;
-                        const cover = video.dynamic_cover || video.origin_cover || {};
-                        let video_url = play_addr.url_list[0];
-                        
-                        return {
-                            title: aweme_detail.desc || '未命名视频',
-                            videoUrl: video_url,
-                            duration: video.duration,
-                            author: aweme_detail.author ? aweme_detail.author.nickname : '未知作者',
-                            coverUrl: cover.url_list ? cover.url_list[0] : null,
-                            dataSize: play_addr.data_size
-                        };
+                        // 解析在Node侧完成，这里直接返回原始数据
+                        return data.aweme_detail;
                     } catch (error) {
                         console.error('Error in page evaluation:', error);
                         throw error;
@@ -804,6 +996,7 @@ class DouyinDownloader {
                 }, videoId);
             } catch (error) {
                 console.error('Error evaluating in page context:', error);
+                await this.browserPool.reportAccountFailure(browserInstance.id);
                 
                 // 保存页面状态以便调试
                 try {
@@ -829,24 +1022,8 @@ class DouyinDownloader {
                 throw error;
             }
 
-            if (!videoInfo.videoUrl) {
-                throw new Error('无法获取视频URL');
-            }
-            
-            // 判断是v3还是v26
-            let dynamicsDomain = this.dynamicsDomainV26;
-            if (videoInfo.videoUrl.includes('https://v3')) {
-                dynamicsDomain = this.dynamicsDomainV3;
-            }
-            
-            // 从dynamicsDomain 中随机选择一个域名，替换掉 videoInfo.videoUrl 中的域名
-            const randomDomain = dynamicsDomain[Math.floor(Math.random() * dynamicsDomain.length)];
-            videoInfo.videoUrl = videoInfo.videoUrl.replace(/(https?:\/\/[^\/]+)/, randomDomain);
-
-            // 计算视频的大小，字节数转成MB
-            videoInfo.dataSizeMB = (videoInfo.dataSize / 1024 / 1024).toFixed(2) + 'MB';
-            console.log('Video Info:', videoInfo);
-            videoInfo.videoId = videoId;
+            this.browserPool.reportAccountSuccess(browserInstance.id);
+            const videoInfo = this._buildVideoInfo(awemeDetail, videoId, 'browser');
             
             // 保存 cookies
             await this.browserPool.saveCookies(browserInstance.id);
@@ -854,12 +1031,19 @@ class DouyinDownloader {
             return videoInfo;
         } catch (error) {
             console.error('Error getting video info:', error);
+            failed = true;
             throw error;
         } finally {
-            // 释放浏览器实例回到池中
+            if (page) {
+                for (const [event, listener] of Object.entries(pageListeners)) {
+                    page.off(event, listener);
+                }
+            }
+            
+            // 释放浏览器实例回到池中，失败次数用于判断实例是否需要回收
             if (browserInstance) {
                 console.log(`Releasing browser instance ID: ${browserInstance.id} back to pool`);
-                this.browserPool.releaseBrowser(browserInstance.id);
+                this.browserPool.releaseBrowser(browserInstance.id, { failed });
             }
         }
     }
@@ -869,47 +1053,172 @@ class DouyinDownloader {
         }
     }
 
+    /**
+     * 将视频地址的域名替换为随机的CDN域名
+     * @private
+     * @param {string} videoUrl - 视频地址
+     * @returns {string} - 替换域名后的地址
+     */
+    _rewriteVideoDomain(videoUrl) {
+        // 判断是v3还是v26
+        let dynamicsDomain = this.dynamicsDomainV26;
+        if (videoUrl.includes('https://v3')) {
+            dynamicsDomain = this.dynamicsDomainV3;
+        }
+        
+        // 从dynamicsDomain 中随机选择一个域名，替换掉 videoUrl 中的域名
+        const randomDomain = dynamicsDomain[Math.floor(Math.random() * dynamicsDomain.length)];
+        return videoUrl.replace(/(https?:\/\/[^\/]+)/, randomDomain);
+    }
+
+    /**
+     * 获取下载目录并确保其存在
+     * @private
+     * @param {string} category - downloads 下的分类目录，例如 covers、music，视频为空字符串
+     * @param {string} [subdir] - 文件名模板生成的子目录
+     * @returns {string} - 下载目录的绝对路径
+     */
+    _ensureDownloadDir(category, subdir) {
+        // 逐段清理子目录，防止 ".." 等片段跳出下载目录
+        const safeSubdir = (subdir || '')
+            .split(/[\\/]/)
+            .map(sanitizeSegment)
+            .filter(Boolean);
+        const downloadDir = path.join(this.downloadsDir, category, ...safeSubdir);
+        if (!fs.existsSync(downloadDir)) {
+            fs.mkdirSync(downloadDir, { recursive: true });
+        }
+        return downloadDir;
+    }
+
     /**
      * 下载封面图片
      * @param {string} url - 图片URL
      * @param {string} filename - 文件名（不含扩展名）
+     * @param {Object} [options] - 下载选项
+     * @param {string} [options.subdir] - covers 目录下的子目录
+     * @param {boolean} [options.overwrite] - 覆盖已有文件，默认跳过已存在的文件
+     * @param {string} [options.priority] - 获取浏览器实例的优先级
+     * @param {AbortSignal} [options.signal] - 取消信号
      * @returns {Promise<string>} - 返回下载图片的路径
      */
-    async downloadCoverImage(url, filename) {
+    async downloadCoverImage(url, filename, options = {}) {
+        // 创建下载目录
+        const downloadDir = this._ensureDownloadDir('covers', options.subdir);
+        
+        // 处理文件名，移除非法字符
+        const sanitizedFilename = filename.replace(/[\\/:*?"<>|]/g, '_');
+        const targetPath = path.join(downloadDir, `${sanitizedFilename}_cover.jpg`);
+        
+        return this._downloadAsset(url, targetPath, 'cover', options);
+    }
+
+    /**
+     * 下载图文作品的所有图片到以作品命名的文件夹中
+     * @param {Array<string>} imageUrls - 图片URL列表
+     * @param {string} folderName - 文件夹名称
+     * @param {Object} [options] - 下载选项
+     * @param {string} [options.subdir] - images 目录下的子目录
+     * @param {boolean} [options.overwrite] - 覆盖已有文件，默认跳过已存在的文件
+     * @param {string} [options.priority] - 获取浏览器实例的优先级
+     * @param {AbortSignal} [options.signal] - 取消信号
+     * @returns {Promise<Array<string>>} - 返回下载图片的路径列表，顺序与 imageUrls 一致
+     */
+    async downloadImages(imageUrls, folderName, options = {}) {
+        // 创建下载目录
+        const sanitizedFolderName = folderName.replace(/[\\/:*?"<>|]/g, '_');
+        const downloadDir = this._ensureDownloadDir('images', path.join(options.subdir || '', sanitizedFolderName));
+
+        const imagePaths = [];
+        for (let i = 0; i < imageUrls.length; i++) {
+            const url = imageUrls[i];
+            const extension = /\.(webp|png|jpe?g)(\?|$)/i.exec(url);
+            const index = String(i + 1).padStart(2, '0');
+            const targetPath = path.join(downloadDir, `${index}.${extension ? extension[1].toLowerCase() : 'jpg'}`);
+
+            console.log(`Downloading image ${i + 1}/${imageUrls.length}`);
+            imagePaths.push(await this._downloadAsset(url, targetPath, 'image', options));
+        }
+
+        return imagePaths;
+    }
+
+    /**
+     * 下载背景音乐（原声）
+     * @param {string} url - 音乐播放地址
+     * @param {string} filename - 文件名（不含扩展名）
+     * @param {Object} [options] - 下载选项
+     * @param {string} [options.subdir] - music 目录下的子目录
+     * @param {boolean} [options.overwrite] - 覆盖已有文件，默认跳过已存在的文件
+     * @param {string} [options.priority] - 获取浏览器实例的优先级
+     * @param {AbortSignal} [options.signal] - 取消信号
+     * @returns {Promise<string>} - 返回下载音乐的路径
+     */
+    async downloadMusic(url, filename, options = {}) {
+        // 创建下载目录
+        const downloadDir = this._ensureDownloadDir('music', options.subdir);
+        
+        // 处理文件名，移除非法字符
+        const sanitizedFilename = filename.replace(/[\\/:*?"<>|]/g, '_');
+        const extension = /\.(mp3|m4a|aac)(\?|$)/i.exec(url);
+        const targetPath = path.join(downloadDir, `${sanitizedFilename}.${extension ? extension[1].toLowerCase() : 'mp3'}`);
+        
+        return this._downloadAsset(url, targetPath, 'music', options);
+    }
+
+    /**
+     * 将作品元数据写入 .json 附属文件
+     * @param {string} sidecarPath - 附属文件路径，通常为视频路径把 .mp4 换成 .json
+     * @param {Object} metadata - getVideoInfo 返回的 metadata
+     * @returns {string} - 返回附属文件路径
+     */
+    writeMetadataSidecar(sidecarPath, metadata) {
+        const content = {
+            ...metadata,
+            downloadedAt: new Date().toISOString()
+        };
+        fs.writeFileSync(sidecarPath, JSON.stringify(content, null, 2));
+        console.log(`Metadata sidecar saved to: ${sidecarPath}`);
+        return sidecarPath;
+    }
+
+    /**
+     * 使用浏览器池中的cookies下载单个资源文件（封面、图片等），失败时自动重试
+     * @private
+     * @param {string} url - 资源URL
+     * @param {string} targetPath - 保存路径
+     * @param {string} label - 日志中使用的资源名称
+     * @param {Object} [options] - 下载选项
+     * @param {boolean} [options.overwrite] - 覆盖已有文件，默认跳过已存在的文件
+     * @param {string} [options.priority] - 获取浏览器实例的优先级
+     * @param {AbortSignal} [options.signal] - 取消信号
+     * @returns {Promise<string>} - 返回下载文件的路径
+     */
+    async _downloadAsset(url, targetPath, label, options = {}) {
         let retries = 0;
         let browserInstance = null;
         
         while (true) {
             try {
-                console.log(`Downloading cover image: ${url}`);
+                console.log(`Downloading ${label}: ${url}`);
                 
-                // 创建下载目录
-                const downloadDir = path.join(__dirname, '../downloads/covers');
-                if (!fs.existsSync(downloadDir)) {
-                    fs.mkdirSync(downloadDir, { recursive: true });
-                }
-                
-                // 处理文件名，移除非法字符
-                const sanitizedFilename = filename.replace(/[\\/:*?"<>|]/g, '_');
-                const targetPath = path.join(downloadDir, `${sanitizedFilename}_cover.jpg`);
-                
-                // 检查文件是否已存在
-                if (fs.existsSync(targetPath)) {
-                    console.log(`Cover image already exists: ${targetPath}`);
+                // 检查文件是否已存在，覆盖下载时保留已有文件，下载完成后由 .part 文件直接替换
+                if (!options.overwrite && fs.existsSync(targetPath)) {
+                    console.log(`The ${label} already exists: ${targetPath}`);
                     return targetPath;
                 }
 
-                // 从浏览器池获取一个浏览器实例来获取cookies
+                // 从浏览器池获取一个浏览器实例来获取cookies，只读取cookies不打开页面，无需隔离
                 if (!browserInstance) {
-                    browserInstance = await this.browserPool.getBrowser();
-                    console.log(`Using browser instance ID: ${browserInstance.id} for cover download`);
+                    browserInstance = await this.browserPool.getBrowser({ priority: options.priority, signal: options.signal, isolation: 'shared' });
+                    console.log(`Using browser instance ID: ${browserInstance.id} for ${label} download`);
                 }
 
-                // 获取图片URL的cookies
+                // 获取资源URL的cookies
                 const cookies = await browserInstance.page.cookies(url);
                 const cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
 
-                // 使用axios下载图片
+                // 使用axios下载资源
                 const response = await axios({
                     method: 'GET',
                     url: url,
@@ -921,8 +1230,9 @@ class DouyinDownloader {
                     }
                 });
 
-                // 创建写入流
-                const writer = fs.createWriteStream(targetPath);
+                // 先写入 .part 文件，下载完整后再重命名，避免截断的文件被当作已下载
+                const partPath = `${targetPath}.part`;
+                const writer = fs.createWriteStream(partPath);
 
                 // 监听下载进度
                 let downloadedBytes = 0;
@@ -931,29 +1241,41 @@ class DouyinDownloader {
                 response.data.on('data', (chunk) => {
                     downloadedBytes += chunk.length;
                     const progress = (downloadedBytes / totalBytes * 100).toFixed(2);
-                    process.stdout.write(`Downloading cover: ${progress}%\r`);
+                    process.stdout.write(`Downloading ${label}: ${progress}%\r`);
                 });
 
                 // 写入文件
                 response.data.pipe(writer);
 
-                // 等待下载完成
+                // 等待下载完成，连接中断时 pipe 不会结束写入流，需要单独处理响应流的错误
                 await new Promise((resolve, reject) => {
                     writer.on('finish', resolve);
                     writer.on('error', reject);
+                    response.data.on('error', (streamError) => {
+                        writer.destroy();
+                        reject(streamError);
+                    });
                 });
 
-                console.log(`\nCover image downloaded successfully: ${targetPath}`);
+                // 只有大小与 content-length 一致时才重命名为正式文件
+                const actualSize = fs.statSync(partPath).size;
+                if (Number.isFinite(totalBytes) && actualSize !== totalBytes) {
+                    fs.unlinkSync(partPath);
+                    throw new Error(`下载不完整: 已下载 ${actualSize} 字节，预期 ${totalBytes} 字节`);
+                }
+                fs.renameSync(partPath, targetPath);
+
+                console.log(`\nThe ${label} downloaded successfully: ${targetPath}`);
                 return targetPath;
             } catch (error) {
                 retries++;
-                console.error(`Cover download attempt ${retries} failed:`, error);
+                console.error(`The ${label} download attempt ${retries} failed:`, error);
                 
                 if (retries < this.maxRetries) {
                     console.log(`Retrying in ${this.retryDelay/1000} seconds...`);
                     await new Promise(resolve => setTimeout(resolve, this.retryDelay));
                 } else {
-                    throw new Error(`Cover download failed after ${this.maxRetries} attempts: ${error.message}`);
+                    throw new Error(`The ${label} download failed after ${this.maxRetries} attempts: ${error.message}`);
                 }
             } finally {
                 // 如果有浏览器实例，释放它
@@ -965,39 +1287,63 @@ class DouyinDownloader {
             }
         }
     }
+
     /**
      * 下载文件（视频）
      * @param {string} url - 视频文件的URL
      * @param {string} filename - 文件名（不含扩展名）
+     * @param {Object} [options] - 下载选项
+     * @param {Function} [options.onProgress] - 进度回调 (downloadedBytes, totalBytes)
+     * @param {number} [options.expectedSize] - 预期文件大小（字节，即 dataSize），用于校验下载是否完整
+     * @param {Function} [options.onVerified] - 校验通过后的回调，参数为 verifyVideoFile 的校验结果
+     * @param {Array<Object>} [options.variants] - getVideoInfo 返回的清晰度变体列表
+     * @param {string} [options.quality] - 清晰度偏好，例如 highest、lowest、720p、h264，需同时提供 variants
+     * @param {string} [options.subdir] - downloads 目录下的子目录
+     * @param {boolean} [options.overwrite] - 覆盖已有文件，默认跳过已存在且校验通过的文件
+     * @param {string} [options.priority] - 获取浏览器实例的优先级：interactive（默认）或 bulk
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后不再等待浏览器实例
      * @returns {Promise<string>} - 返回下载文件的路径
      */
-    async downloadFile(url, filename) {
+    async downloadFile(url, filename, options = {}) {
         let retries = 0;
         let browserInstance = null;
         
+        // 按清晰度偏好选择变体，替换下载地址和预期大小
+        const variant = selectVariant(options.variants, options.quality);
+        if (variant) {
+            console.log(`Selected variant ${variant.gearName} (${variant.width}x${variant.height}, ${variant.codec}) for quality: ${options.quality}`);
+            url = variant.url;
+            options = { ...options, expectedSize: variant.dataSize || options.expectedSize };
+        }
+        
         while (true) {
             try {
                 console.log(`Downloading video: ${url}`);
                 
                 // 创建下载目录
-                const downloadDir = path.join(__dirname, '../downloads');
-                if (!fs.existsSync(downloadDir)) {
-                    fs.mkdirSync(downloadDir, { recursive: true });
-                }
+                const downloadDir = this._ensureDownloadDir('', options.subdir);
                 
                 // 处理文件名，移除非法字符
                 const sanitizedFilename = filename.replace(/[\\/:*?"<>|]/g, '_');
                 const targetPath = path.join(downloadDir, `${sanitizedFilename}.mp4`);
                 
-                // 检查文件是否已存在
-                if (fs.existsSync(targetPath)) {
-                    console.log(`Video already exists: ${targetPath}`);
-                    return targetPath;
+                // 检查文件是否已存在，已存在但校验失败的文件（例如旧版本保存的截断文件）重新下载；
+                // 重新下载和覆盖下载时都保留已有文件，新文件下载并校验完成后由 .part 文件直接替换
+                if (!options.overwrite && fs.existsSync(targetPath)) {
+                    const existingVerification = verifyVideoFile(targetPath, options.expectedSize);
+                    if (existingVerification.ok) {
+                        console.log(`Video already exists: ${targetPath}`);
+                        if (options.onVerified) {
+                            options.onVerified(existingVerification);
+                        }
+                        return targetPath;
+                    }
+                    console.log(`Existing video failed verification, downloading again: ${existingVerification.errors.join('; ')}`);
                 }
 
-                // 从浏览器池获取一个浏览器实例来获取cookies
+                // 从浏览器池获取一个浏览器实例来获取cookies，只读取cookies不打开页面，无需隔离
                 if (!browserInstance) {
-                    browserInstance = await this.browserPool.getBrowser();
+                    browserInstance = await this.browserPool.getBrowser({ priority: options.priority, signal: options.signal, isolation: 'shared' });
                     console.log(`Using browser instance ID: ${browserInstance.id} for download`);
                 }
 
@@ -1005,39 +1351,99 @@ class DouyinDownloader {
                 const cookies = await browserInstance.page.cookies(url);
                 const cookieString = cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
 
+                // 已下载的部分，继续下载时通过Range请求从断点开始
+                const partPath = `${targetPath}.part`;
+                const resumeFrom = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+                const headers = {
+                    'Cookie': cookieString,
+                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                    'Referer': 'https://www.douyin.com/'
+                };
+                if (resumeFrom > 0) {
+                    headers['Range'] = `bytes=${resumeFrom}-`;
+                    console.log(`Resuming download from byte ${resumeFrom}`);
+                }
+
                 // 使用axios下载视频
                 const response = await axios({
                     method: 'GET',
                     url: url,
                     responseType: 'stream',
-                    headers: {
-                        'Cookie': cookieString,
-                        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                        'Referer': 'https://www.douyin.com/'
-                    }
+                    headers,
+                    // 416 表示断点已在文件末尾，交给下面的完整性判断处理
+                    validateStatus: status => (status >= 200 && status < 300) || status === 416
                 });
 
-                // 创建写入流
-                const writer = fs.createWriteStream(targetPath);
-
-                // 监听下载进度
+                let totalBytes = parseInt(response.headers['content-length'], 10);
                 let downloadedBytes = 0;
-                const totalBytes = parseInt(response.headers['content-length'], 10);
-                
-                response.data.on('data', (chunk) => {
-                    downloadedBytes += chunk.length;
-                    const progress = (downloadedBytes / totalBytes * 100).toFixed(2);
-                    process.stdout.write(`Downloading: ${progress}%\r`);
-                });
 
-                // 写入文件
-                response.data.pipe(writer);
+                if (response.status === 416) {
+                    response.data.destroy();
+                    totalBytes = this._parseContentRangeTotal(response.headers['content-range']);
+                    downloadedBytes = resumeFrom;
+                } else {
+                    // 206 为断点续传，追加写入；200 表示服务器忽略了Range，从头开始写入
+                    const isPartial = response.status === 206;
+                    if (isPartial) {
+                        downloadedBytes = resumeFrom;
+                        totalBytes = this._parseContentRangeTotal(response.headers['content-range']) || resumeFrom + totalBytes;
+                    } else if (resumeFrom > 0) {
+                        console.log('Server ignored Range header, restarting download from zero');
+                    }
 
-                // 等待下载完成
-                await new Promise((resolve, reject) => {
-                    writer.on('finish', resolve);
-                    writer.on('error', reject);
-                });
+                    // 创建写入流
+                    const writer = fs.createWriteStream(partPath, { flags: isPartial ? 'a' : 'w' });
+
+                    // 监听下载进度
+                    response.data.on('data', (chunk) => {
+                        downloadedBytes += chunk.length;
+                        const progress = (downloadedBytes / totalBytes * 100).toFixed(2);
+                        process.stdout.write(`Downloading: ${progress}%\r`);
+                        if (options.onProgress) {
+                            options.onProgress(downloadedBytes, totalBytes);
+                        }
+                    });
+
+                    // 写入文件
+                    response.data.pipe(writer);
+
+                    // 等待下载完成
+                    await new Promise((resolve, reject) => {
+                        writer.on('finish', resolve);
+                        writer.on('error', reject);
+                        response.data.on('error', (streamError) => {
+                            writer.end();
+                            reject(streamError);
+                        });
+                    });
+                }
+
+                // 只有大小与 content-length 或 dataSize 一致时才重命名为正式文件
+                const expectedSize = Number.isFinite(totalBytes) ? totalBytes : options.expectedSize;
+                const actualSize = fs.statSync(partPath).size;
+                if (expectedSize && actualSize !== expectedSize) {
+                    if (actualSize > expectedSize) {
+                        // 文件比预期大，说明断点数据已损坏，删除后重新下载
+                        fs.unlinkSync(partPath);
+                    }
+                    throw new Error(`下载不完整: 已下载 ${actualSize} 字节，预期 ${expectedSize} 字节`);
+                }
+
+                // 校验字节数与 dataSize 以及MP4容器结构，失败时进入重试
+                const verification = verifyVideoFile(partPath, options.expectedSize);
+                if (!verification.ok) {
+                    // 文件偏小且开头结构正常时保留以便续传，其余情况无法续传，删除后从头下载
+                    const canResume = verification.hasFtyp && verification.size < options.expectedSize;
+                    if (!canResume) {
+                        fs.unlinkSync(partPath);
+                    }
+                    throw new Error(`视频校验失败: ${verification.errors.join('; ')}`);
+                }
+
+                fs.renameSync(partPath, targetPath);
+                if (options.onVerified) {
+                    options.onVerified(verification);
+                }
 
                 console.log(`\nVideo downloaded successfully: ${targetPath}`);
                 return targetPath;
@@ -1062,6 +1468,311 @@ class DouyinDownloader {
         }
     }
 
+    /**
+     * 从 Content-Range 响应头中解析文件总大小
+     * @private
+     * @param {string} contentRange - 形如 "bytes 0-99/1000" 的响应头
+     * @returns {number} - 文件总字节数，无法解析时返回NaN
+     */
+    _parseContentRangeTotal(contentRange) {
+        const match = /\/(\d+)\s*$/.exec(contentRange || '');
+        return match ? parseInt(match[1], 10) : NaN;
+    }
+
+    /**
+     * 按文件名模板生成文件名，与其他作品的文件重名或正被其他下载使用时追加序号
+     * 选中的文件名会被预留，下载结束后需调用 _releaseFilename 释放
+     * @private
+     * @param {Object} videoInfo - getVideoInfo 返回的视频信息
+     * @param {string} template - 文件名模板
+     * @returns {Object} - { subdir, name }
+     */
+    _resolveFilename(videoInfo, template) {
+        const { subdir, name } = renderFilename(template, videoInfo);
+
+        let candidate = name;
+        for (let suffix = 2; this._isFilenameUnavailable(videoInfo, subdir, candidate); suffix++) {
+            candidate = `${name}_${suffix}`;
+        }
+        if (candidate !== name) {
+            console.log(`Filename "${name}" is used by another aweme, using "${candidate}" instead`);
+        }
+
+        this.reservedFilenames.add(this._filenameKey(subdir, candidate));
+        return { subdir, name: candidate };
+    }
+
+    /**
+     * 释放 _resolveFilename 预留的文件名
+     * @private
+     * @param {string} subdir - 子目录
+     * @param {string} name - 不含扩展名的文件名
+     */
+    _releaseFilename(subdir, name) {
+        this.reservedFilenames.delete(this._filenameKey(subdir, name));
+    }
+
+    /**
+     * 生成文件名预留使用的键
+     * @private
+     * @param {string} subdir - 子目录
+     * @param {string} name - 不含扩展名的文件名
+     * @returns {string} - 预留键
+     */
+    _filenameKey(subdir, name) {
+        return path.join(subdir || '', name);
+    }
+
+    /**
+     * 判断文件名是否不可用：正被其他下载预留，或已被其他作品的文件占用
+     * @private
+     * @param {Object} videoInfo - getVideoInfo 返回的视频信息
+     * @param {string} subdir - 子目录
+     * @param {string} name - 不含扩展名的文件名
+     * @returns {boolean} - 是否不可用
+     */
+    _isFilenameUnavailable(videoInfo, subdir, name) {
+        return this.reservedFilenames.has(this._filenameKey(subdir, name))
+            || this._isTakenByOtherAweme(videoInfo, subdir, name);
+    }
+
+    /**
+     * 判断文件名是否已被其他作品占用
+     * 视频和图文作品共用封面和音乐目录，因此检查该文件名会生成的所有文件，而不只是同类型的媒体文件。
+     * 通过元数据附属文件中的 awemeId 判断归属；有文件存在但没有附属文件时无法确认归属，同样视为占用。
+     * 未完成的 .mp4.part 不计入：下载期间文件名已被预留，遗留的 .part 留给同一作品续传。
+     * @private
+     * @param {Object} videoInfo - getVideoInfo 返回的视频信息
+     * @param {string} subdir - 子目录
+     * @param {string} name - 不含扩展名的文件名
+     * @returns {boolean} - 是否被占用
+     */
+    _isTakenByOtherAweme(videoInfo, subdir, name) {
+        const imagesDir = path.join(this.downloadsDir, 'images', subdir, name);
+        const sidecarPaths = [
+            path.join(this.downloadsDir, subdir, `${name}.json`),
+            path.join(imagesDir, 'metadata.json')
+        ];
+
+        let ownedByThisAweme = false;
+        for (const sidecarPath of sidecarPaths) {
+            if (!fs.existsSync(sidecarPath)) {
+                continue;
+            }
+            try {
+                const sidecar = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+                if (sidecar.awemeId && sidecar.awemeId !== videoInfo.videoId) {
+                    return true;
+                }
+                ownedByThisAweme = ownedByThisAweme || sidecar.awemeId === videoInfo.videoId;
+            } catch (error) {
+                console.error(`Error reading metadata sidecar ${sidecarPath}:`, error);
+                return true;
+            }
+        }
+        if (ownedByThisAweme) {
+            return false;
+        }
+
+        const assetPaths = [
+            path.join(this.downloadsDir, subdir, `${name}.mp4`),
+            imagesDir,
+            path.join(this.downloadsDir, 'covers', subdir, `${name}_cover.jpg`),
+            ...['mp3', 'm4a', 'aac'].map(extension => path.join(this.downloadsDir, 'music', subdir, `${name}.${extension}`))
+        ];
+        return assetPaths.some(assetPath => fs.existsSync(assetPath));
+    }
+
+    /**
+     * 作品已下载过且文件完整时，返回索引中记录的下载结果，不受标题变化影响
+     * @private
+     * @param {string} awemeId - 作品ID
+     * @param {Object} options - download 的下载选项
+     * @param {Object} [videoInfo] - 已获取的视频信息，未提供时使用索引中保存的信息
+     * @returns {Object|null} - 下载结果，未下载过、文件不完整、清晰度不同或缺少需要的背景音乐时返回null
+     */
+    _getArchivedResult(awemeId, options, videoInfo) {
+        const archived = this.library.get(awemeId);
+        if (!archived || !this.library.isIntact(archived) || (options.music && !archived.musicPath)) {
+            return null;
+        }
+        if (!this._isArchivedQuality(archived, options.quality)) {
+            console.log(`Aweme ${awemeId} in library has quality ${archived.quality || 'default'}, downloading ${options.quality || 'default'}`);
+            return null;
+        }
+
+        console.log(`Aweme ${awemeId} already in library, skipping download`);
+        return {
+            videoInfo: videoInfo || {
+                videoId: archived.awemeId,
+                type: archived.type,
+                title: archived.title,
+                author: archived.author,
+                metadata: archived.metadata,
+                source: 'library'
+            },
+            videoPath: archived.videoPath,
+            imagePaths: archived.imagePaths,
+            coverPath: archived.coverPath,
+            musicPath: archived.musicPath,
+            metadataPath: archived.metadataPath,
+            variant: archived.variant,
+            quality: archived.quality || null,
+            verification: null,
+            fromLibrary: true
+        };
+    }
+
+    /**
+     * 检查索引条目是否按请求的清晰度偏好下载，图文作品没有清晰度，总是一致
+     * @private
+     * @param {Object} entry - 索引条目
+     * @param {string} [quality] - 请求的清晰度偏好，未指定时为接口的默认地址
+     * @returns {boolean} - 清晰度是否一致
+     */
+    _isArchivedQuality(entry, quality) {
+        return entry.type === 'note' || (entry.quality || null) === (quality || null);
+    }
+
+    /**
+     * 获取视频信息并下载视频（图文作品为全部图片）和封面
+     * @param {string} videoUrl - 抖音视频URL
+     * @param {Object} [options] - 下载选项
+     * @param {Function} [options.onStage] - 阶段回调，参数为 'resolving' 或 'downloading'
+     * @param {Function} [options.onProgress] - 视频下载进度回调 (downloadedBytes, totalBytes)
+     * @param {string} [options.quality] - 清晰度偏好，例如 highest、lowest、720p、h264，默认使用接口的默认地址
+     * @param {boolean} [options.music] - 是否同时下载背景音乐
+     * @param {string} [options.filenameTemplate] - 文件名模板，默认使用构造函数中的配置
+     * @param {string} [options.strategy] - 视频信息获取策略：auto、http 或 browser
+     * @param {string} [options.cache] - 视频信息缓存使用方式：use、bypass 或 refresh
+     * @param {boolean} [options.force] - 强制重新下载：不使用缓存重新获取视频信息并覆盖下载，成功后再删除旧文件并替换索引条目；
+     *                                    索引中的作品清晰度与 quality 不同时也按同样的方式替换
+     * @param {string} [options.priority] - 获取浏览器实例的优先级：interactive（默认）或 bulk，批量下载应使用 bulk
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后不再等待浏览器实例
+     * @returns {Promise<Object>} - 包含视频信息、视频路径、图片路径、封面路径、音乐路径、元数据文件路径、所选清晰度、清晰度偏好和校验结果的对象；
+     *                             fromLibrary 为true时表示作品已下载过，直接返回了索引中的文件
+     */
+    async download(videoUrl, options = {}) {
+        const onStage = options.onStage || (() => {});
+        // 所有步骤获取浏览器实例时使用相同的优先级和取消信号
+        const lease = { priority: options.priority, signal: options.signal };
+
+        onStage('resolving');
+        // 先通过HTTP解析分享链接得到作品ID，已下载过时无需获取视频信息；解析失败时交给 getVideoInfo 处理
+        let link = null;
+        try {
+            link = await resolveShareLink(videoUrl);
+        } catch (error) {
+            console.error('Error resolving share link before library lookup:', error.message);
+        }
+        if (link && !options.force) {
+            const archivedResult = this._getArchivedResult(link.id, options);
+            if (archivedResult) {
+                return archivedResult;
+            }
+        }
+
+        const videoInfo = await this.getVideoInfo(link ? link.url : videoUrl, {
+            strategy: options.strategy,
+            cache: options.cache || (options.force ? 'refresh' : 'use'),
+            requireUrls: true,
+            ...lease
+        });
+
+        // 分享链接无法解析时，获取视频信息后再检查索引
+        const archived = this.library.get(videoInfo.videoId);
+        if (!link && !options.force) {
+            const archivedResult = this._getArchivedResult(videoInfo.videoId, options, videoInfo);
+            if (archivedResult) {
+                return archivedResult;
+            }
+        }
+
+        onStage('downloading');
+        const { subdir, name: filename } = this._resolveFilename(videoInfo, options.filenameTemplate || this.filenameTemplate);
+        // 强制重新下载或已下载的清晰度不同时覆盖已有文件，旧文件在新文件全部下载成功后才被替换
+        const replaceArchived = Boolean(archived) && (Boolean(options.force) || !this._isArchivedQuality(archived, options.quality));
+        const assetOptions = { subdir, overwrite: replaceArchived, ...lease };
+        try {
+            let videoPath = null;
+            let imagePaths = null;
+            let variant = null;
+            let verification = null;
+
+            if (videoInfo.type === 'note') {
+                // 图文作品：下载所有图片
+                imagePaths = await this.downloadImages(videoInfo.images, filename, assetOptions);
+            } else {
+                variant = selectVariant(videoInfo.variants, options.quality);
+                videoPath = await this.downloadFile(videoInfo.videoUrl, filename, {
+                    onProgress: options.onProgress,
+                    expectedSize: videoInfo.dataSize,
+                    variants: videoInfo.variants,
+                    quality: options.quality,
+                    ...assetOptions,
+                    onVerified: (result) => {
+                        verification = result;
+                    }
+                });
+            }
+
+            let coverPath = null;
+            if (videoInfo.coverUrl) {
+                coverPath = await this.downloadCoverImage(videoInfo.coverUrl, filename, assetOptions);
+            } else {
+                console.log('No cover image URL available');
+            }
+
+            // 元数据附属文件：视频写在 .mp4 旁边，图文作品写在图片文件夹中
+            let metadataPath = null;
+            if (videoPath) {
+                metadataPath = this.writeMetadataSidecar(videoPath.replace(/\.mp4$/, '.json'), videoInfo.metadata);
+            } else if (imagePaths && imagePaths.length > 0) {
+                metadataPath = this.writeMetadataSidecar(path.join(path.dirname(imagePaths[0]), 'metadata.json'), videoInfo.metadata);
+            }
+
+            let musicPath = null;
+            if (options.music) {
+                if (videoInfo.music && videoInfo.music.playUrl) {
+                    musicPath = await this.downloadMusic(videoInfo.music.playUrl, filename, assetOptions);
+                } else {
+                    console.log('No music URL available');
+                }
+            }
+
+            const result = {
+                videoInfo,
+                videoPath,
+                imagePaths,
+                coverPath,
+                musicPath,
+                metadataPath,
+                variant,
+                quality: videoInfo.type === 'note' ? null : (options.quality || null),
+                verification,
+                fromLibrary: false
+            };
+
+            // 新文件已全部下载，删除旧条目中不再使用的文件（例如标题变化后的旧文件名）
+            if (replaceArchived) {
+                this.library.remove(videoInfo.videoId, {
+                    keep: [videoPath, ...(imagePaths || []), coverPath, musicPath, metadataPath]
+                });
+            }
+
+            // 记录到已下载作品索引，索引失败不影响下载结果
+            try {
+                await this.library.record(result);
+            } catch (error) {
+                console.error(`Error recording aweme ${videoInfo.videoId} in library:`, error);
+            }
+
+            return result;
+        } finally {
+            this._releaseFilename(subdir, filename);
+        }
+    }
+
     /**
      * 关闭所有浏览器实例
      */
@@ -1080,33 +1791,54 @@ module.exports = { DouyinDownloader };
 
 // 如果直接运行此文件，则执行示例下载
 if (require.main === module) {
+    /**
+     * 解析命令行参数
+     * 用法: node src/index.js [视频URL] [--template "{author}/{create_date}_{aweme_id}_{title:40}"]
+     * @param {Array<string>} argv - 命令行参数（不含 node 和脚本路径）
+     * @returns {Object} - { videoUrl, filenameTemplate }
+     */
+    function parseArgs(argv) {
+        const args = {
+            // 示例视频URL
+            videoUrl: 'https://www.douyin.com/video/7498656370800086323',
+            filenameTemplate: undefined
+        };
+        
+        for (let i = 0; i < argv.length; i++) {
+            if (argv[i] === '--template') {
+                args.filenameTemplate = argv[++i];
+            } else if (argv[i].startsWith('--template=')) {
+                args.filenameTemplate = argv[i].slice('--template='.length);
+            } else {
+                args.videoUrl = argv[i];
+            }
+        }
+        
+        return args;
+    }
+
     /**
      * 主函数 - 程序入口
      */
     async function main() {
-        const downloader = new DouyinDownloader();
+        const { videoUrl, filenameTemplate } = parseArgs(process.argv.slice(2));
+        const downloader = new DouyinDownloader({ filenameTemplate });
         
         try {
             await downloader.init();
             
-            // 示例视频URL
-            const videoUrl = 'https://www.douyin.com/video/7498656370800086323';
-            
-            // 获取视频信息
-            const videoInfo = await downloader.getVideoInfo(videoUrl);
-            console.log('Video Info:', videoInfo);
-            
-            // 下载视频
-            const filename = `${videoInfo.title}`;
-            const downloadPath = await downloader.downloadFile(videoInfo.videoUrl, filename);
-            console.log('Video download completed:', downloadPath);
+            // 获取视频信息并下载视频（或图文作品的图片）和封面
+            const result = await downloader.download(videoUrl);
+            console.log('Video Info:', result.videoInfo);
             
-            // 下载封面图片
-            if (videoInfo.coverUrl) {
-                const coverPath = await downloader.downloadCoverImage(videoInfo.coverUrl, filename);
-                console.log('Cover image download completed:', coverPath);
-            } else {
-                console.log('No cover image URL available');
+            if (result.videoPath) {
+                console.log('Video download completed:', result.videoPath);
+            }
+            if (result.imagePaths) {
+                console.log('Images download completed:', result.imagePaths);
+            }
+            if (result.coverPath) {
+                console.log('Cover image download completed:', result.coverPath);
             }
             
         } catch (error) {
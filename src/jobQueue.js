@@ -0,0 +1,223 @@
+const { JobStore } = require('./jobStore');
+
+/**
+ * 下载任务状态
+ */
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RESOLVING: 'resolving',
+    DOWNLOADING: 'downloading',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+/**
+ * 未完成的任务状态，服务重启后需要重新执行
+ */
+const UNFINISHED_STATES = [JOB_STATES.QUEUED, JOB_STATES.RESOLVING, JOB_STATES.DOWNLOADING];
+
+/**
+ * 异步下载任务队列
+ * 提交任务后立即返回任务ID，任务在后台通过下载器（及其浏览器池）执行
+ * 任务会持久化到 JobStore，启动时恢复未完成的任务，已结束的任务按 JobStore 的保留策略删除
+ */
+class DownloadJobQueue {
+    /**
+     * 构造函数
+     * @param {Object} downloader - DouyinDownloader 实例
+     * @param {Object} options - 配置选项
+     * @param {number} options.concurrency - 同时执行的任务数量，默认与浏览器池大小一致
+     * @param {number} options.maxQueueSize - 最大排队任务数量，默认与浏览器池队列长度一致
+     * @param {JobStore} options.store - 任务存储，默认使用 data/jobs.json
+     */
+    constructor(downloader, options = {}) {
+        this.downloader = downloader;
+        this.concurrency = options.concurrency || downloader.browserPool.maxPoolSize;
+        this.maxQueueSize = options.maxQueueSize || downloader.browserPool.maxQueueSize;
+
+        this.jobs = new Map(); // 所有任务，按ID索引
+        this.pending = []; // 等待执行的任务ID
+        this.running = 0; // 正在执行的任务数量
+        this.store = options.store || new JobStore();
+
+        this._restore();
+
+        console.log(`Download job queue initialized with concurrency: ${this.concurrency}, max queue: ${this.maxQueueSize}`);
+    }
+
+    /**
+     * 从存储中恢复任务，未完成或被中断的任务重新排队执行
+     * @private
+     */
+    _restore() {
+        const jobs = this.store.load().sort((a, b) => a.createdAt - b.createdAt);
+        let resumed = 0;
+
+        for (const job of jobs) {
+            this.jobs.set(job.id, job);
+
+            if (UNFINISHED_STATES.includes(job.state)) {
+                this._update(job, {
+                    state: JOB_STATES.QUEUED,
+                    progress: { downloadedBytes: 0, totalBytes: null },
+                    startedAt: null
+                });
+                this.pending.push(job.id);
+                resumed++;
+            }
+        }
+
+        this._prune();
+
+        if (resumed > 0) {
+            console.log(`Resuming ${resumed} interrupted jobs`);
+            this._next();
+        }
+    }
+
+    /**
+     * 提交下载任务
+     * @param {string} videoUrl - 抖音视频URL
+     * @param {Object} [options] - 下载选项，原样传给 DouyinDownloader.download
+     * @param {string} [options.quality] - 清晰度偏好
+     * @returns {Object} - 新建的任务对象
+     */
+    submit(videoUrl, options = {}) {
+        if (this.pending.length >= this.maxQueueSize) {
+            const error = new Error('下载任务队列已满，请稍后再试');
+            error.status = 503;
+            throw error;
+        }
+
+        const now = Date.now();
+        const job = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            videoUrl,
+            options,
+            state: JOB_STATES.QUEUED,
+            progress: {
+                downloadedBytes: 0,
+                totalBytes: null
+            },
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.store.save(job);
+        this.pending.push(job.id);
+        console.log(`Job ${job.id} queued for ${videoUrl}, pending: ${this.pending.length}`);
+
+        this._next();
+        return job;
+    }
+
+    /**
+     * 获取任务
+     * @param {string} jobId - 任务ID
+     * @returns {Object|null} - 任务对象，不存在时返回null
+     */
+    getJob(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * 列出所有任务，最新的在前
+     * @returns {Array<Object>} - 任务列表
+     */
+    listJobs() {
+        return Array.from(this.jobs.values()).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * 更新任务字段并持久化
+     * @private
+     * @param {Object} job - 任务对象
+     * @param {Object} changes - 需要更新的字段
+     */
+    _update(job, changes) {
+        Object.assign(job, changes, { updatedAt: Date.now() });
+        this.store.save(job);
+    }
+
+    /**
+     * 在并发限制内启动等待中的任务
+     * @private
+     */
+    _next() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            if (!job) {
+                continue;
+            }
+
+            this.running++;
+            this._run(job).finally(() => {
+                this.running--;
+                this._next();
+            });
+        }
+    }
+
+    /**
+     * 执行单个任务
+     * @private
+     * @param {Object} job - 任务对象
+     * @returns {Promise<void>}
+     */
+    async _run(job) {
+        console.log(`Job ${job.id} started`);
+        this._update(job, { state: JOB_STATES.RESOLVING, startedAt: Date.now() });
+
+        try {
+            // 后台任务默认以 bulk 优先级获取浏览器实例，让同步的API请求优先
+            const result = await this.downloader.download(job.videoUrl, {
+                priority: 'bulk',
+                ...job.options,
+                onStage: (stage) => {
+                    this._update(job, { state: stage });
+                },
+                onProgress: (downloadedBytes, totalBytes) => {
+                    job.progress = {
+                        downloadedBytes,
+                        totalBytes: Number.isFinite(totalBytes) ? totalBytes : null
+                    };
+                    job.updatedAt = Date.now();
+                    this.store.saveProgress(job);
+                }
+            });
+
+            this._update(job, {
+                state: JOB_STATES.DONE,
+                result,
+                finishedAt: Date.now()
+            });
+            console.log(`Job ${job.id} finished`);
+        } catch (error) {
+            console.error(`Job ${job.id} failed:`, error);
+            this._update(job, {
+                state: JOB_STATES.FAILED,
+                error: error.message,
+                finishedAt: Date.now()
+            });
+        }
+
+        this._prune();
+    }
+
+    /**
+     * 按存储的保留策略删除旧的已结束任务
+     * @private
+     */
+    _prune() {
+        for (const jobId of this.store.prune()) {
+            this.jobs.delete(jobId);
+        }
+    }
+}
+
+module.exports = { DownloadJobQueue, JOB_STATES };
@@ -0,0 +1,115 @@
+const path = require('path');
+const { ensureParentDir, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+/**
+ * 基于本地文件的下载任务存储
+ * 将任务以JSON形式保存到项目目录下，服务重启后可恢复
+ */
+class JobStore {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.filePath - 任务存储文件路径，默认为 data/jobs.json
+     * @param {number} options.maxFinishedJobs - 最多保留的已结束（完成或失败）任务数量，默认500
+     * @param {number} options.finishedJobTtl - 已结束任务的保留时间(ms)，默认7天
+     * @param {number} options.flushDelay - 进度更新的合并写入间隔(ms)，间隔内的多次进度更新只写入一次，默认1秒
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../data/jobs.json');
+        this.maxFinishedJobs = options.maxFinishedJobs || 500;
+        this.finishedJobTtl = options.finishedJobTtl || 7 * 24 * 60 * 60 * 1000; // 7天
+        this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : 1000;
+        this.jobs = {};
+        this.flushTimer = null;
+
+        ensureParentDir(this.filePath);
+    }
+
+    /**
+     * 从文件加载所有任务
+     * @returns {Array<Object>} - 任务列表
+     */
+    load() {
+        this.jobs = readJsonFile(this.filePath, {});
+        console.log(`Loaded ${Object.keys(this.jobs).length} jobs from ${this.filePath}`);
+        return Object.values(this.jobs);
+    }
+
+    /**
+     * 保存（新增或更新）任务并立即写入文件，用于任务创建和状态变化
+     * @param {Object} job - 任务对象
+     */
+    save(job) {
+        this.jobs[job.id] = job;
+        this.flush();
+    }
+
+    /**
+     * 保存任务的进度更新，稍后合并写入文件
+     * 进度更新非常频繁，丢失时只影响进度显示，任务重新执行时会重置进度
+     * @param {Object} job - 任务对象
+     */
+    saveProgress(job) {
+        this.jobs[job.id] = job;
+        this._scheduleFlush();
+    }
+
+    /**
+     * 删除超过保留时间或数量的已结束任务，未结束的任务始终保留
+     * @returns {Array<string>} - 被删除的任务ID
+     */
+    prune() {
+        const now = Date.now();
+        const finished = Object.values(this.jobs)
+            .filter(job => job.finishedAt)
+            .sort((a, b) => b.finishedAt - a.finishedAt);
+
+        const removed = finished
+            .filter((job, index) => index >= this.maxFinishedJobs || now - job.finishedAt > this.finishedJobTtl)
+            .map(job => job.id);
+
+        if (removed.length > 0) {
+            removed.forEach(jobId => delete this.jobs[jobId]);
+            console.log(`Pruned ${removed.length} finished jobs`);
+            this._scheduleFlush();
+        }
+        return removed;
+    }
+
+    /**
+     * 立即写入文件，同时取消已安排的合并写入，服务关闭前也会调用
+     */
+    flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        this._flush();
+    }
+
+    /**
+     * 安排一次写入，已有待写入的修改时不重复安排
+     * @private
+     */
+    _scheduleFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+        this.flushTimer = setTimeout(() => {
+            this.flushTimer = null;
+            this._flush();
+        }, this.flushDelay);
+        // 不因等待写入而阻止进程退出
+        this.flushTimer.unref();
+    }
+
+    /**
+     * 将内存中的任务写入文件
+     * @private
+     */
+    _flush() {
+        writeJsonFile(this.filePath, this.jobs);
+    }
+}
+
+module.exports = { JobStore };
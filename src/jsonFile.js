@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * jsonFile.js
+ * 本地JSON存储文件（任务、索引、同步状态、缓存、账号等）的读写。
+ * 写入时先写临时文件再重命名，避免进程中断时留下不完整的JSON。
+ */
+
+/**
+ * 确保文件所在目录存在
+ * @param {string} filePath - 文件路径
+ */
+function ensureParentDir(filePath) {
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+}
+
+/**
+ * 读取JSON文件
+ * @param {string} filePath - 文件路径
+ * @param {*} defaultValue - 文件不存在、内容为空或无法解析时返回的值
+ * @returns {*} - 解析后的内容
+ */
+function readJsonFile(filePath, defaultValue) {
+    try {
+        if (fs.existsSync(filePath)) {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8')) || defaultValue;
+        }
+    } catch (error) {
+        console.error(`Error loading ${filePath}:`, error);
+    }
+    return defaultValue;
+}
+
+/**
+ * 原子地写入JSON文件，写入失败时只记录错误
+ * @param {string} filePath - 文件路径
+ * @param {*} data - 要写入的内容
+ * @param {Object} [options] - 写入选项
+ * @param {boolean} [options.compact] - 为true时不缩进，适合体积较大、不需要人工查看的文件
+ * @returns {boolean} - 是否写入成功
+ */
+function writeJsonFile(filePath, data, options = {}) {
+    const tempPath = `${filePath}.tmp`;
+    try {
+        ensureParentDir(filePath);
+        fs.writeFileSync(tempPath, options.compact ? JSON.stringify(data) : JSON.stringify(data, null, 2));
+        fs.renameSync(tempPath, filePath);
+        return true;
+    } catch (error) {
+        console.error(`Error saving ${filePath}:`, error);
+        return false;
+    }
+}
+
+module.exports = { ensureParentDir, readJsonFile, writeJsonFile };
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureParentDir, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+/**
+ * 计算文件的sha256
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>} - 十六进制sha256
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * 已下载作品的索引
+ * 以aweme_id为键记录作品的文件路径、大小、sha256和下载时间，保存在本地JSON文件中
+ */
+class LibraryIndex {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.filePath - 索引文件路径，默认为 data/library.json
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../data/library.json');
+
+        ensureParentDir(this.filePath);
+        this.entries = readJsonFile(this.filePath, {});
+    }
+
+    /**
+     * 将索引写入文件
+     * @private
+     */
+    _flush() {
+        writeJsonFile(this.filePath, this.entries);
+    }
+
+    /**
+     * 获取作品的索引条目
+     * @param {string} awemeId - 作品ID
+     * @returns {Object|null} - 索引条目，未下载过时返回null
+     */
+    get(awemeId) {
+        return this.entries[awemeId] || null;
+    }
+
+    /**
+     * 检查索引条目记录的媒体文件是否都存在且大小一致
+     * @param {Object} entry - 索引条目
+     * @returns {boolean} - 文件是否完整
+     */
+    isIntact(entry) {
+        if (!entry || !Array.isArray(entry.files) || entry.files.length === 0) {
+            return false;
+        }
+        return entry.files.every(file => {
+            try {
+                return fs.statSync(file.path).size === file.size;
+            } catch (error) {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * 根据下载结果记录作品，计算媒体文件的sha256和大小
+     * @param {Object} result - DouyinDownloader.download 的返回值
+     * @returns {Promise<Object>} - 索引条目
+     */
+    async record(result) {
+        const { videoInfo } = result;
+        const metadata = videoInfo.metadata || {};
+        const mediaPaths = result.videoPath ? [result.videoPath] : (result.imagePaths || []);
+
+        const files = [];
+        for (const mediaPath of mediaPaths) {
+            files.push({
+                path: mediaPath,
+                size: fs.statSync(mediaPath).size,
+                sha256: await hashFile(mediaPath)
+            });
+        }
+
+        const entry = {
+            awemeId: videoInfo.videoId,
+            type: videoInfo.type,
+            title: videoInfo.title,
+            author: videoInfo.author,
+            authorSecUid: metadata.author ? metadata.author.secUid : null,
+            createTime: metadata.createTime || null,
+            videoPath: result.videoPath,
+            imagePaths: result.imagePaths,
+            coverPath: result.coverPath,
+            musicPath: result.musicPath,
+            metadataPath: result.metadataPath,
+            variant: result.variant,
+            quality: result.quality || null,
+            metadata,
+            files,
+            size: files.reduce((total, file) => total + file.size, 0),
+            downloadedAt: new Date().toISOString()
+        };
+
+        this.entries[entry.awemeId] = entry;
+        this._flush();
+        return entry;
+    }
+
+    /**
+     * 列出索引条目引用的所有文件（视频或图片、封面、音乐和元数据附属文件）
+     * @private
+     * @param {Object} entry - 索引条目
+     * @returns {Array<string>} - 文件路径列表
+     */
+    _entryFilePaths(entry) {
+        return [
+            entry.videoPath,
+            ...(entry.imagePaths || []),
+            entry.coverPath,
+            entry.musicPath,
+            entry.metadataPath
+        ].filter(Boolean);
+    }
+
+    /**
+     * 删除作品的所有文件（视频或图片、封面、音乐和元数据附属文件）及其索引条目
+     * 其他条目仍在引用的文件不会被删除
+     * @param {string} awemeId - 作品ID
+     * @param {Object} [options] - 删除选项
+     * @param {Array<string>} [options.keep] - 需要保留的文件路径，例如强制重新下载时覆盖写入的新文件
+     * @returns {Object|null} - { deletedFiles, freedBytes }，作品不在索引中时返回null
+     */
+    remove(awemeId, options = {}) {
+        const entry = this.entries[awemeId];
+        if (!entry) {
+            return null;
+        }
+
+        const keptPaths = new Set((options.keep || []).filter(Boolean).map(filePath => path.resolve(filePath)));
+        for (const [otherId, other] of Object.entries(this.entries)) {
+            if (otherId !== awemeId) {
+                this._entryFilePaths(other).forEach(filePath => keptPaths.add(path.resolve(filePath)));
+            }
+        }
+
+        const filePaths = this._entryFilePaths(entry).filter(filePath => !keptPaths.has(path.resolve(filePath)));
+
+        const deletedFiles = [];
+        let freedBytes = 0;
+        for (const filePath of filePaths) {
+            try {
+                if (fs.existsSync(filePath)) {
+                    freedBytes += fs.statSync(filePath).size;
+                    fs.unlinkSync(filePath);
+                    deletedFiles.push(filePath);
+                }
+            } catch (error) {
+                console.error(`Error deleting ${filePath}:`, error);
+            }
+        }
+
+        // 图文作品的图片文件夹为空时一并删除
+        if (entry.imagePaths && entry.imagePaths.length > 0) {
+            const imageDir = path.dirname(entry.imagePaths[0]);
+            try {
+                if (fs.existsSync(imageDir) && fs.readdirSync(imageDir).length === 0) {
+                    fs.rmdirSync(imageDir);
+                }
+            } catch (error) {
+                console.error(`Error deleting ${imageDir}:`, error);
+            }
+        }
+
+        this.delete(awemeId);
+        console.log(`Removed aweme ${awemeId} from library, deleted ${deletedFiles.length} files`);
+
+        return { deletedFiles, freedBytes };
+    }
+
+    /**
+     * 删除作品的索引条目（不删除文件）
+     * @param {string} awemeId - 作品ID
+     */
+    delete(awemeId) {
+        if (this.entries[awemeId]) {
+            delete this.entries[awemeId];
+            this._flush();
+        }
+    }
+
+    /**
+     * 列出或搜索已下载的作品，按下载时间倒序排列
+     * @param {Object} [options] - 查询选项
+     * @param {string} [options.query] - 关键字，匹配标题、作者和作品ID
+     * @param {string} [options.author] - 作者昵称或sec_uid
+     * @param {string} [options.type] - 作品类型：video 或 note
+     * @param {number} [options.offset] - 跳过的条目数
+     * @param {number} [options.limit] - 返回的最大条目数
+     * @returns {Object} - { total, items }
+     */
+    list(options = {}) {
+        const query = options.query ? String(options.query).toLowerCase() : null;
+
+        const matched = Object.values(this.entries)
+            .filter(entry => {
+                if (options.type && entry.type !== options.type) {
+                    return false;
+                }
+                if (options.author && entry.author !== options.author && entry.authorSecUid !== options.author) {
+                    return false;
+                }
+                if (query) {
+                    return [entry.title, entry.author, entry.awemeId]
+                        .some(value => value && String(value).toLowerCase().includes(query));
+                }
+                return true;
+            })
+            .sort((a, b) => new Date(b.downloadedAt) - new Date(a.downloadedAt));
+
+        const offset = options.offset || 0;
+        const limit = options.limit || matched.length;
+        return {
+            total: matched.length,
+            items: matched.slice(offset, offset + limit)
+        };
+    }
+}
+
+module.exports = { LibraryIndex, hashFile };
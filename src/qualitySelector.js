@@ -0,0 +1,136 @@
+/**
+ * qualitySelector.js
+ * 根据清晰度偏好从 bit_rate 变体列表中选择要下载的视频。
+ *
+ * 支持的偏好写法（可用逗号组合，例如 "720p,h264"）：
+ *   highest / lowest  - 最高或最低清晰度
+ *   720p / 1080p ...  - 不超过指定分辨率（按短边计算）的最高清晰度
+ *   h264 / h265       - 优先选择指定编码，没有该编码时使用其他编码
+ */
+
+const SUPPORTED_CODECS = ['h264', 'h265'];
+
+const PREFERENCES = ['highest', 'lowest'];
+
+/**
+ * 创建清晰度参数错误
+ * @param {string} message - 错误信息
+ * @returns {Error} - status 为400的错误
+ */
+function createQualityError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * 校验已解析的清晰度偏好对象，例如API请求体中直接传入的对象
+ * @param {Object} quality - { prefer, resolution, codec }
+ * @returns {Object} - 补齐默认值后的偏好对象
+ */
+function validatePreference(quality) {
+    if (Array.isArray(quality)) {
+        throw createQualityError('无效的清晰度参数: 不能为数组');
+    }
+
+    const unknownKeys = Object.keys(quality).filter(key => !['prefer', 'resolution', 'codec'].includes(key));
+    if (unknownKeys.length > 0) {
+        throw createQualityError(`无效的清晰度参数: 未知字段 ${unknownKeys.join('、')}，可用字段为 prefer、resolution、codec`);
+    }
+
+    const preference = { prefer: 'highest', resolution: null, codec: null, ...quality };
+    if (!PREFERENCES.includes(preference.prefer)) {
+        throw createQualityError(`无效的清晰度参数: prefer 为 ${preference.prefer}，可选值为 ${PREFERENCES.join('、')}`);
+    }
+    if (preference.resolution !== null && !(Number.isInteger(preference.resolution) && preference.resolution > 0)) {
+        throw createQualityError(`无效的清晰度参数: resolution 为 ${preference.resolution}，应为正整数，例如 720`);
+    }
+    if (preference.codec !== null && !SUPPORTED_CODECS.includes(preference.codec)) {
+        throw createQualityError(`无效的清晰度参数: codec 为 ${preference.codec}，可选值为 ${SUPPORTED_CODECS.join('、')}`);
+    }
+    return preference;
+}
+
+/**
+ * 解析清晰度偏好
+ * @param {string|Object} quality - 清晰度偏好字符串或已解析的对象
+ * @returns {Object|null} - { prefer, resolution, codec }，未指定时返回null
+ */
+function parseQuality(quality) {
+    if (!quality) {
+        return null;
+    }
+    if (typeof quality === 'object') {
+        return validatePreference(quality);
+    }
+
+    const preference = { prefer: 'highest', resolution: null, codec: null };
+    const tokens = String(quality).toLowerCase().split(/[,+\s]+/).filter(Boolean);
+
+    for (const token of tokens) {
+        if (PREFERENCES.includes(token)) {
+            preference.prefer = token;
+        } else if (/^\d+p$/.test(token)) {
+            preference.resolution = parseInt(token, 10);
+        } else if (SUPPORTED_CODECS.includes(token)) {
+            preference.codec = token;
+        } else {
+            throw createQualityError(`无效的清晰度参数: ${token}，可选值为 highest、lowest、720p 等分辨率或 h264/h265`);
+        }
+    }
+
+    return preference;
+}
+
+/**
+ * 变体的短边分辨率，竖屏 1080x1920 视为 1080p
+ * @param {Object} variant - 视频变体
+ * @returns {number} - 短边像素数，未知时为0
+ */
+function shortSide(variant) {
+    if (!variant.width || !variant.height) {
+        return 0;
+    }
+    return Math.min(variant.width, variant.height);
+}
+
+/**
+ * 按清晰度偏好选择视频变体
+ * @param {Array<Object>} variants - getVideoInfo 返回的 variants
+ * @param {string|Object} quality - 清晰度偏好
+ * @returns {Object|null} - 选中的变体，没有可用变体或未指定偏好时返回null
+ */
+function selectVariant(variants, quality) {
+    const preference = parseQuality(quality);
+    if (!preference || !Array.isArray(variants)) {
+        return null;
+    }
+
+    let candidates = variants.filter(variant => variant.url);
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    // 编码只是偏好，没有对应编码时不过滤
+    if (preference.codec) {
+        const sameCodec = candidates.filter(variant => variant.codec === preference.codec);
+        if (sameCodec.length > 0) {
+            candidates = sameCodec;
+        }
+    }
+
+    // 从高到低排序：分辨率优先，其次码率
+    const sorted = candidates.slice().sort((a, b) => {
+        return (shortSide(b) - shortSide(a)) || ((b.bitRate || 0) - (a.bitRate || 0));
+    });
+
+    if (preference.resolution) {
+        // 不超过目标分辨率的最高清晰度；都超过时选择最低的一个
+        const withinLimit = sorted.find(variant => shortSide(variant) <= preference.resolution);
+        return withinLimit || sorted[sorted.length - 1];
+    }
+
+    return preference.prefer === 'lowest' ? sorted[sorted.length - 1] : sorted[0];
+}
+
+module.exports = { parseQuality, selectVariant };
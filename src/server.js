@@ -1,7 +1,16 @@
 const express = require('express');
 const { DouyinDownloader } = require('./index');
+const { DownloadJobQueue } = require('./jobQueue');
+const { parseQuality } = require('./qualitySelector');
+const { validateTemplate } = require('./filenameTemplate');
+const { normalizeMetadata } = require('./awemeParser');
+const { extractUrls, parseShareUrl, resolveShareLink, buildCanonicalUrl } = require('./shareLinkParser');
+const { AuthorCrawler } = require('./author');
+const UserInfoMonitor = require('./userInfoMonitor');
+const { CookieStore } = require('./cookieStore');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const morgan = require('morgan');
 
 /**
@@ -15,16 +24,34 @@ class DouyinDownloaderServer {
      * @param {number} options.port - 服务器端口号
      * @param {number} options.maxPoolSize - 浏览器池最大大小
      * @param {number} options.maxQueueSize - 请求队列最大大小
+     * @param {string} options.filenameTemplate - 默认文件名模板
+     * @param {string} options.resolveStrategy - 视频信息获取策略：auto（默认）、http 或 browser
+     * @param {string} options.pageIsolation - 浏览器页面隔离方式：shared（默认）、page 或 context
+     * @param {Object} options.videoInfoCache - 视频信息缓存配置，例如 { backend: 'file', ttl, urlTtl }
+     * @param {CookieStore} options.cookieStore - 账号cookie存储，默认使用 cookies/accounts
+     * @param {string} options.adminToken - cookie管理接口的访问令牌，默认读取环境变量 ADMIN_TOKEN，未配置时管理接口不可用
      */
     constructor(options = {}) {
         this.port = options.port || 3001;
         this.app = express();
+        this.adminToken = options.adminToken || process.env.ADMIN_TOKEN || null;
+        // 浏览器池和cookie管理接口共用同一个账号存储
+        this.cookieStore = options.cookieStore || new CookieStore();
         this.downloaderOptions = {
             maxPoolSize: options.maxPoolSize || 5,
             maxQueueSize: options.maxQueueSize || 100,
-            browserTimeout: options.browserTimeout || 300000 // 5分钟
+            browserTimeout: options.browserTimeout || 300000, // 5分钟
+            filenameTemplate: options.filenameTemplate,
+            resolveStrategy: options.resolveStrategy,
+            pageIsolation: options.pageIsolation,
+            videoInfoCache: options.videoInfoCache,
+            cookieStore: this.cookieStore
         };
+        this.downloadsDir = path.join(__dirname, '../downloads');
         this.downloader = null;
+        this.jobQueue = null;
+        this.userInfoMonitor = null;
+        this.authorCrawler = null;
         this.isInitialized = false;
         this.setupMiddleware();
         this.setupRoutes();
@@ -57,7 +84,7 @@ class DouyinDownloaderServer {
         this.app.use(morgan('dev'));
         
         // 设置静态文件目录，用于访问下载的视频和封面
-        this.app.use('/downloads', express.static(path.join(__dirname, '../downloads')));
+        this.app.use('/downloads', express.static(this.downloadsDir));
     }
 
     /**
@@ -72,7 +99,7 @@ class DouyinDownloaderServer {
         // 获取视频信息接口
         this.app.post('/api/video/info', async (req, res, next) => {
             try {
-                const { sharedText } = req.body;
+                const { sharedText, strategy, cache } = req.body;
                 let videoUrl;
                 
                 if (!sharedText) {
@@ -83,12 +110,9 @@ class DouyinDownloaderServer {
                 }
                 
                 // 从分享文本中提取URL
-                const urlRegex = /(https?:\/\/[^\s]+)/;
-                const match = sharedText.match(urlRegex);
+                videoUrl = this.extractUrl(sharedText);
                 
-                if (match && match[1]) {
-                    videoUrl = match[1];
-                } else {
+                if (!videoUrl) {
                     return res.status(400).json({ 
                         error: '无效的分享文本', 
                         message: '无法从分享文本中提取URL' 
@@ -99,7 +123,7 @@ class DouyinDownloaderServer {
                 await this.ensureDownloaderInitialized();
                 
                 // 获取视频信息
-                const videoInfo = await this.downloader.getVideoInfo(videoUrl);
+                const videoInfo = await this.downloader.getVideoInfo(videoUrl, { strategy, cache, signal: this.createRequestSignal(res) });
                 
                 res.json({
                     success: true,
@@ -109,6 +133,687 @@ class DouyinDownloaderServer {
                 next(error);
             }
         });
+
+        // 下载视频和封面接口
+        this.app.post('/api/video/download', async (req, res, next) => {
+            try {
+                const { sharedText, quality, music, filenameTemplate, cache } = req.body;
+                
+                if (!sharedText) {
+                    return res.status(400).json({ 
+                        error: '缺少参数', 
+                        message: '请提供抖音分享文本' 
+                    });
+                }
+                
+                const videoUrl = this.extractUrl(sharedText);
+                if (!videoUrl) {
+                    return res.status(400).json({ 
+                        error: '无效的分享文本', 
+                        message: '无法从分享文本中提取URL' 
+                    });
+                }
+                
+                // 提前校验清晰度和文件名模板参数，避免解析视频后才报错
+                parseQuality(quality);
+                if (filenameTemplate !== undefined) {
+                    validateTemplate(filenameTemplate);
+                }
+                
+                await this.ensureDownloaderInitialized();
+                
+                const result = await this.downloader.download(videoUrl, { quality, music: Boolean(music), filenameTemplate, cache, signal: this.createRequestSignal(res) });
+                
+                res.json({
+                    success: true,
+                    data: this.formatDownloadResult(result)
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 批量获取视频信息或下载接口
+        this.app.post('/api/video/batch', async (req, res, next) => {
+            try {
+                const { sharedText, download, quality, music, filenameTemplate } = req.body;
+                
+                if (!sharedText || (Array.isArray(sharedText) && sharedText.length === 0)) {
+                    return res.status(400).json({ 
+                        error: '缺少参数', 
+                        message: '请提供抖音分享文本或分享文本数组' 
+                    });
+                }
+                
+                const texts = Array.isArray(sharedText) ? sharedText : [sharedText];
+                const urls = texts.flatMap(text => extractUrls(text));
+                if (urls.length === 0) {
+                    return res.status(400).json({ 
+                        error: '无效的分享文本', 
+                        message: '无法从分享文本中提取抖音链接' 
+                    });
+                }
+                
+                if (download) {
+                    parseQuality(quality);
+                    if (filenameTemplate !== undefined) {
+                        validateTemplate(filenameTemplate);
+                    }
+                }
+                
+                // 先通过HTTP并发解析短链接，按aweme_id去重，同一作品的短链接和完整链接只处理一次
+                const resolved = await this.runWithConcurrency([...new Set(urls)], this.downloaderOptions.maxPoolSize, async (url) => {
+                    try {
+                        return { url, link: await resolveShareLink(url) };
+                    } catch (error) {
+                        console.error(`Error resolving share link ${url}:`, error.message);
+                        return { url, link: null };
+                    }
+                });
+                const claimed = new Set();
+                const targets = resolved.filter(({ link }) => {
+                    if (!link) {
+                        return true;
+                    }
+                    if (claimed.has(link.id)) {
+                        return false;
+                    }
+                    claimed.add(link.id);
+                    return true;
+                });
+                
+                // 去重后的作品数量不能超过浏览器池的等待队列长度
+                const maxBatchSize = this.downloaderOptions.maxQueueSize;
+                if (targets.length > maxBatchSize) {
+                    return res.status(400).json({
+                        error: '链接数量过多',
+                        message: `单次最多处理 ${maxBatchSize} 个作品，当前为 ${targets.length} 个`
+                    });
+                }
+                
+                await this.ensureDownloaderInitialized();
+                // 批量请求以 bulk 优先级获取浏览器实例，浏览器池已满时单个作品的请求优先分配
+                const lease = { priority: 'bulk', signal: this.createRequestSignal(res) };
+                
+                // 并发数与浏览器池大小一致
+                const items = await this.runWithConcurrency(targets, this.downloader.browserPool.maxPoolSize, async ({ url, link }) => {
+                    const target = { url, awemeId: link ? link.id : null, type: link ? link.type : null };
+                    const resolvedUrl = link ? link.url : url;
+                    try {
+                        const data = download
+                            ? this.formatDownloadResult(await this.downloader.download(resolvedUrl, { quality, music: Boolean(music), filenameTemplate, ...lease }))
+                            : await this.downloader.getVideoInfo(resolvedUrl, lease);
+                        return { ...target, success: true, data };
+                    } catch (error) {
+                        console.error(`Batch item failed: ${target.url}`, error);
+                        return { ...target, success: false, error: error.message };
+                    }
+                });
+                
+                const succeeded = items.filter(item => item.success).length;
+                res.json({
+                    success: true,
+                    data: {
+                        total: items.length,
+                        succeeded,
+                        failed: items.length - succeeded,
+                        items
+                    }
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 提交异步下载任务接口
+        this.app.post('/api/jobs', async (req, res, next) => {
+            try {
+                const { sharedText, quality, music, filenameTemplate } = req.body;
+                
+                if (!sharedText) {
+                    return res.status(400).json({ 
+                        error: '缺少参数', 
+                        message: '请提供抖音分享文本' 
+                    });
+                }
+                
+                const videoUrl = this.extractUrl(sharedText);
+                if (!videoUrl) {
+                    return res.status(400).json({ 
+                        error: '无效的分享文本', 
+                        message: '无法从分享文本中提取URL' 
+                    });
+                }
+                
+                parseQuality(quality);
+                if (filenameTemplate !== undefined) {
+                    validateTemplate(filenameTemplate);
+                }
+                
+                await this.ensureDownloaderInitialized();
+                
+                const job = this.jobQueue.submit(videoUrl, { quality, music: Boolean(music), filenameTemplate });
+                
+                res.status(202).json({
+                    success: true,
+                    data: this.formatJob(job)
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 任务列表接口
+        this.app.get('/api/jobs', async (req, res, next) => {
+            try {
+                await this.ensureDownloaderInitialized();
+                
+                res.json({
+                    success: true,
+                    data: this.jobQueue.listJobs().map(job => this.formatJob(job))
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 查询任务状态接口
+        this.app.get('/api/jobs/:id', async (req, res, next) => {
+            try {
+                await this.ensureDownloaderInitialized();
+                
+                const job = this.jobQueue.getJob(req.params.id);
+                if (!job) {
+                    return res.status(404).json({
+                        error: '任务不存在',
+                        message: `找不到任务: ${req.params.id}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.formatJob(job)
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 已下载作品列表和搜索接口
+        this.app.get('/api/library', async (req, res, next) => {
+            try {
+                const { q, author, type } = req.query;
+                const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+                const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+                
+                if (!(offset >= 0) || !(limit >= 1 && limit <= 500)) {
+                    return res.status(400).json({
+                        error: '无效的分页参数',
+                        message: 'offset 必须为非负整数，limit 必须为1到500之间的整数'
+                    });
+                }
+                
+                await this.ensureDownloaderInitialized();
+                
+                const result = this.downloader.library.list({ query: q, author, type, offset, limit });
+                
+                res.json({
+                    success: true,
+                    data: {
+                        total: result.total,
+                        offset,
+                        limit,
+                        items: result.items.map(entry => this.formatLibraryEntry(entry))
+                    }
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 已下载作品详情接口
+        this.app.get('/api/library/:awemeId', async (req, res, next) => {
+            try {
+                await this.ensureDownloaderInitialized();
+                
+                const entry = this.downloader.library.get(req.params.awemeId);
+                if (!entry) {
+                    return res.status(404).json({
+                        error: '作品不存在',
+                        message: `已下载作品中找不到: ${req.params.awemeId}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: this.formatLibraryEntry(entry)
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 删除已下载作品接口，视频（或图片）、封面、音乐和元数据附属文件一并删除
+        this.app.delete('/api/library/:awemeId', async (req, res, next) => {
+            try {
+                await this.ensureDownloaderInitialized();
+                
+                const result = this.downloader.library.remove(req.params.awemeId);
+                if (!result) {
+                    return res.status(404).json({
+                        error: '作品不存在',
+                        message: `已下载作品中找不到: ${req.params.awemeId}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: {
+                        awemeId: req.params.awemeId,
+                        deletedFiles: result.deletedFiles.map(filePath => this.toDownloadUrl(filePath) || filePath),
+                        freedBytes: result.freedBytes
+                    }
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 强制重新下载已下载作品接口，以异步任务的方式执行
+        this.app.post('/api/library/:awemeId/redownload', async (req, res, next) => {
+            try {
+                const { quality, music, filenameTemplate } = req.body;
+                
+                parseQuality(quality);
+                if (filenameTemplate !== undefined) {
+                    validateTemplate(filenameTemplate);
+                }
+                
+                await this.ensureDownloaderInitialized();
+                
+                const entry = this.downloader.library.get(req.params.awemeId);
+                if (!entry) {
+                    return res.status(404).json({
+                        error: '作品不存在',
+                        message: `已下载作品中找不到: ${req.params.awemeId}`
+                    });
+                }
+                
+                // 未指定 music 时沿用上次是否下载了背景音乐，清晰度和文件名模板未指定时使用默认值
+                const job = this.jobQueue.submit(buildCanonicalUrl(entry.type, entry.awemeId), {
+                    quality,
+                    music: music === undefined ? Boolean(entry.musicPath) : Boolean(music),
+                    filenameTemplate,
+                    force: true
+                });
+                
+                res.status(202).json({
+                    success: true,
+                    data: this.formatJob(job)
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 获取用户主页信息接口
+        this.app.get('/api/user/info', async (req, res, next) => {
+            try {
+                const { user } = req.query;
+                
+                if (!user) {
+                    return res.status(400).json({
+                        error: '缺少参数',
+                        message: '请提供用户主页URL或sec_uid'
+                    });
+                }
+                
+                const userUrl = this.toUserUrl(user);
+                if (!userUrl) {
+                    return res.status(400).json({
+                        error: '无效的用户参数',
+                        message: '无法从参数中识别用户主页URL或sec_uid'
+                    });
+                }
+                
+                await this.ensureDownloaderInitialized();
+                
+                const userInfo = await this.userInfoMonitor.visitUserPage(userUrl, { signal: this.createRequestSignal(res) });
+                if (!userInfo) {
+                    return res.status(404).json({
+                        error: '用户信息不存在',
+                        message: `无法从用户主页中解析用户信息: ${userUrl}`
+                    });
+                }
+                
+                res.json({
+                    success: true,
+                    data: userInfo
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 获取用户作品列表接口，按游标分页
+        this.app.get('/api/user/posts', async (req, res, next) => {
+            try {
+                const { user, cursor = '0', count } = req.query;
+                
+                if (!user) {
+                    return res.status(400).json({
+                        error: '缺少参数',
+                        message: '请提供用户主页URL或sec_uid'
+                    });
+                }
+                
+                const userUrl = this.toUserUrl(user);
+                if (!userUrl) {
+                    return res.status(400).json({
+                        error: '无效的用户参数',
+                        message: '无法从参数中识别用户主页URL或sec_uid'
+                    });
+                }
+                
+                if (!/^\d+$/.test(String(cursor))) {
+                    return res.status(400).json({
+                        error: '无效的游标',
+                        message: 'cursor 必须为非负整数，第一页为0'
+                    });
+                }
+                
+                const pageSize = count === undefined ? undefined : parseInt(count, 10);
+                if (pageSize !== undefined && !(pageSize >= 1 && pageSize <= 50)) {
+                    return res.status(400).json({
+                        error: '无效的数量',
+                        message: 'count 必须为1到50之间的整数'
+                    });
+                }
+                
+                await this.ensureDownloaderInitialized();
+                
+                const result = await this.authorCrawler.listPosts(userUrl, { cursor, count: pageSize, signal: this.createRequestSignal(res) });
+                
+                res.json({
+                    success: true,
+                    data: {
+                        secUid: result.secUid,
+                        posts: result.awemes.map(aweme => this.formatAweme(aweme)),
+                        hasMore: result.hasMore,
+                        // 下一页请求使用此游标，没有更多作品时为null
+                        nextCursor: result.hasMore ? String(result.maxCursor) : null
+                    }
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // cookie账号列表接口，cookie值已脱敏
+        this.app.get('/api/cookies', this.requireAdminToken.bind(this), (req, res) => {
+            res.json({
+                success: true,
+                data: this.cookieStore.listAccounts().map(account => this.formatCookieAccount(account))
+            });
+        });
+
+        // 上传cookies接口，账号不存在时创建，已存在时替换；支持JSON请求体 { cookies } 或纯文本的 cookies.txt
+        this.app.put('/api/cookies/:name', this.requireAdminToken.bind(this), express.text({ limit: '1mb' }), async (req, res, next) => {
+            try {
+                const content = typeof req.body === 'string' ? req.body : req.body && req.body.cookies;
+                
+                if (!content || (typeof content === 'string' && !content.trim())) {
+                    return res.status(400).json({
+                        error: '缺少参数',
+                        message: '请在请求体中提供cookies，支持 cookies.txt、浏览器导出的JSON或Cookie字符串'
+                    });
+                }
+                
+                const existed = Boolean(this.cookieStore.getAccount(req.params.name));
+                const account = this.cookieStore.importCookies(req.params.name, content);
+                
+                // 正在使用该账号的浏览器实例立即换用新的cookies
+                if (this.downloader) {
+                    await this.downloader.browserPool.refreshAccount(account.name);
+                }
+                
+                res.status(existed ? 200 : 201).json({
+                    success: true,
+                    data: this.formatCookieAccount(account)
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 检查cookie账号是否仍处于登录状态接口
+        this.app.post('/api/cookies/:name/validate', this.requireAdminToken.bind(this), async (req, res, next) => {
+            try {
+                const result = await this.cookieStore.validateAccount(req.params.name);
+                
+                res.json({
+                    success: true,
+                    data: {
+                        ...result,
+                        account: this.formatCookieAccount(this.cookieStore.getAccount(req.params.name))
+                    }
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        // 删除cookie账号接口
+        this.app.delete('/api/cookies/:name', this.requireAdminToken.bind(this), async (req, res, next) => {
+            try {
+                if (!this.cookieStore.deleteAccount(req.params.name)) {
+                    return res.status(404).json({
+                        error: '账号不存在',
+                        message: `找不到cookie账号: ${req.params.name}`
+                    });
+                }
+                
+                // 正在使用该账号的浏览器实例切换到其他账号
+                if (this.downloader) {
+                    await this.downloader.browserPool.detachAccount(req.params.name);
+                }
+                
+                res.json({
+                    success: true,
+                    data: { name: req.params.name }
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+    }
+
+    /**
+     * 校验cookie管理接口的访问令牌，令牌通过 Authorization: Bearer {token} 或 X-Admin-Token 请求头传递
+     * @param {Object} req - 请求对象
+     * @param {Object} res - 响应对象
+     * @param {Function} next - 下一个中间件
+     */
+    requireAdminToken(req, res, next) {
+        if (!this.adminToken) {
+            return res.status(403).json({
+                error: '管理接口未启用',
+                message: '请通过 adminToken 选项或 ADMIN_TOKEN 环境变量配置访问令牌'
+            });
+        }
+        
+        const authorization = req.get('authorization') || '';
+        const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : req.get('x-admin-token');
+        const expected = Buffer.from(this.adminToken);
+        const actual = Buffer.from(token || '');
+        // 使用定长比较，避免通过响应时间猜测令牌
+        if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+            return res.status(401).json({
+                error: '未授权',
+                message: '访问令牌无效或缺失'
+            });
+        }
+        
+        next();
+    }
+
+    /**
+     * 格式化cookie账号用于API响应，cookie值只保留前4个字符
+     * @param {Object} account - CookieStore.getAccount 返回的账号概要
+     * @returns {Object} - 带脱敏cookies的账号信息
+     */
+    formatCookieAccount(account) {
+        const now = Date.now() / 1000;
+        return {
+            ...account,
+            cookies: this.cookieStore.getCookies(account.name).map(cookie => ({
+                name: cookie.name,
+                value: cookie.value.length > 4 ? `${cookie.value.slice(0, 4)}****` : '****',
+                domain: cookie.domain,
+                expires: cookie.expires > 0 ? new Date(cookie.expires * 1000).toISOString() : null,
+                expired: cookie.expires > 0 && cookie.expires < now
+            }))
+        };
+    }
+
+    /**
+     * 格式化已下载作品的索引条目用于API响应
+     * @param {Object} entry - LibraryIndex 中的索引条目
+     * @returns {Object} - 带静态文件访问URL的索引条目
+     */
+    formatLibraryEntry(entry) {
+        return {
+            ...entry,
+            intact: this.downloader.library.isIntact(entry),
+            videoDownloadUrl: this.toDownloadUrl(entry.videoPath),
+            imageDownloadUrls: entry.imagePaths ? entry.imagePaths.map(imagePath => this.toDownloadUrl(imagePath)) : null,
+            coverDownloadUrl: this.toDownloadUrl(entry.coverPath),
+            musicDownloadUrl: this.toDownloadUrl(entry.musicPath),
+            metadataDownloadUrl: this.toDownloadUrl(entry.metadataPath)
+        };
+    }
+
+    /**
+     * 格式化作品列表中的作品用于API响应
+     * @param {Object} aweme - 作品列表中的 aweme 对象
+     * @returns {Object} - 规范化的作品元数据，附带作品页URL和是否置顶
+     */
+    formatAweme(aweme) {
+        return {
+            ...normalizeMetadata(aweme),
+            url: AuthorCrawler.getAwemeUrl(aweme),
+            isTop: Boolean(aweme.is_top)
+        };
+    }
+
+    /**
+     * 将 user 参数（主页URL、分享文本或sec_uid）转换为用户主页URL
+     * @param {string} user - user 查询参数
+     * @returns {string|null} - 用户主页URL，无法识别时返回null
+     */
+    toUserUrl(user) {
+        const url = extractUrls(user)[0];
+        const link = parseShareUrl(url || user);
+        if (link) {
+            return link.type === 'user' ? link.url : null;
+        }
+        // 用户短链接由浏览器跟随跳转
+        return url || null;
+    }
+
+    /**
+     * 为下载结果补充静态文件访问URL
+     * @param {Object} result - DouyinDownloader.download 的返回值
+     * @returns {Object} - 带访问URL的下载结果
+     */
+    formatDownloadResult(result) {
+        return {
+            ...result,
+            videoDownloadUrl: this.toDownloadUrl(result.videoPath),
+            imageDownloadUrls: result.imagePaths ? result.imagePaths.map(imagePath => this.toDownloadUrl(imagePath)) : null,
+            coverDownloadUrl: this.toDownloadUrl(result.coverPath),
+            musicDownloadUrl: this.toDownloadUrl(result.musicPath),
+            metadataDownloadUrl: this.toDownloadUrl(result.metadataPath)
+        };
+    }
+
+    /**
+     * 格式化任务对象用于API响应
+     * @param {Object} job - 任务对象
+     * @returns {Object} - 任务信息
+     */
+    formatJob(job) {
+        return {
+            ...job,
+            result: job.result ? this.formatDownloadResult(job.result) : null
+        };
+    }
+
+    /**
+     * 从分享文本中提取第一个抖音链接，文本为纯数字作品ID时返回作品页URL
+     * @param {string} sharedText - 抖音分享文本
+     * @returns {string|null} - 提取到的URL，未找到时返回null
+     */
+    extractUrl(sharedText) {
+        const url = extractUrls(sharedText)[0];
+        if (url) {
+            return url;
+        }
+        const link = parseShareUrl(sharedText);
+        return link ? link.url : null;
+    }
+
+    /**
+     * 创建在客户端断开连接时触发的取消信号，客户端已离开的请求不再占用浏览器池的等待队列
+     * @param {Object} res - 响应对象
+     * @returns {AbortSignal} - 取消信号
+     */
+    createRequestSignal(res) {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                controller.abort();
+            }
+        });
+        return controller.signal;
+    }
+
+    /**
+     * 以有限并发处理列表，结果顺序与输入一致
+     * @param {Array} items - 待处理的列表
+     * @param {number} concurrency - 最大并发数
+     * @param {Function} worker - 处理单个元素的异步函数
+     * @returns {Promise<Array>} - 处理结果
+     */
+    async runWithConcurrency(items, concurrency, worker) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+
+        const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await worker(items[index]);
+            }
+        });
+
+        await Promise.all(runners);
+        return results;
+    }
+
+    /**
+     * 将下载目录中的本地路径转换为静态文件访问URL
+     * @param {string|null} localPath - 本地文件路径
+     * @returns {string|null} - 形如 /downloads/... 的URL
+     */
+    toDownloadUrl(localPath) {
+        if (!localPath) {
+            return null;
+        }
+        const relativePath = path.relative(this.downloadsDir, localPath);
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            return null;
+        }
+        return '/downloads/' + relativePath.split(path.sep).map(encodeURIComponent).join('/');
     }
 
     /**
@@ -143,15 +848,29 @@ class DouyinDownloaderServer {
             console.log('初始化浏览器池...');
             this.downloader = new DouyinDownloader(this.downloaderOptions);
             // 不需要再调用init，浏览器池已在构造函数中初始化
+            this.jobQueue = new DownloadJobQueue(this.downloader);
+            // 用户信息和作品列表查询共用下载器的浏览器池
+            this.userInfoMonitor = new UserInfoMonitor({ browserPool: this.downloader.browserPool });
+            this.authorCrawler = new AuthorCrawler({ downloader: this.downloader, jobQueue: this.jobQueue });
             this.isInitialized = true;
             
-            // 设置进程退出时关闭浏览器池
-            process.on('SIGINT', async () => {
+            // 设置进程退出时写入任务进度并关闭浏览器池
+            const shutdown = async () => {
                 console.log('正在关闭浏览器池...');
+                if (this.jobQueue) {
+                    this.jobQueue.store.flush();
+                }
                 if (this.downloader) {
                     await this.downloader.close();
                 }
                 process.exit(0);
+            };
+            process.on('SIGINT', shutdown);
+            process.on('SIGTERM', shutdown);
+            process.on('beforeExit', () => {
+                if (this.jobQueue) {
+                    this.jobQueue.store.flush();
+                }
             });
             
             console.log(`浏览器池初始化完成，最大池大小: ${this.downloaderOptions.maxPoolSize}, 最大队列大小: ${this.downloaderOptions.maxQueueSize}`);
@@ -164,6 +883,9 @@ class DouyinDownloaderServer {
      * @returns {Promise<void>}
      */
     async start() {
+        // 启动时初始化下载器，恢复上次未完成的下载任务
+        await this.ensureDownloaderInitialized();
+        
         return new Promise((resolve) => {
             this.server = this.app.listen(this.port, () => {
                 console.log(`抖音下载器API服务已启动，监听端口: ${this.port}`);
@@ -181,6 +903,9 @@ class DouyinDownloaderServer {
             return new Promise((resolve) => {
                 this.server.close(async () => {
                     console.log('服务器已关闭');
+                    if (this.jobQueue) {
+                        this.jobQueue.store.flush();
+                    }
                     if (this.downloader) {
                         await this.downloader.close();
                         console.log('浏览器已关闭');
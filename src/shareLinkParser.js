@@ -0,0 +1,164 @@
+/**
+ * shareLinkParser.js
+ * 解析抖音分享链接，得到链接类型（video、note、user、music）和对应的ID，无需启动浏览器。
+ *
+ * 支持的格式：
+ * - 短链接 https://v.douyin.com/xxxx/（通过HTTP跳转解析）
+ * - https://www.douyin.com/video/{id}、/note/{id}、/user/{sec_uid}、/music/{id}
+ * - 带 modal_id={id} 参数的页面，例如 https://www.douyin.com/user/xxx?modal_id={id}
+ * - https://www.iesdouyin.com/share/video/{id}/ 等分享页
+ * - 纯数字作品ID和 sec_uid
+ */
+
+const axios = require('axios');
+
+// 跳转次数上限，避免循环跳转
+const MAX_REDIRECTS = 5;
+
+// 匹配URL允许的ASCII字符，避免把紧跟在链接后的中文标点一起截取
+const URL_PATTERN = /https?:\/\/[A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]+/g;
+
+const DOUYIN_HOST_PATTERN = /(^|\.)(douyin|iesdouyin)\.com$/;
+
+/**
+ * 生成链接类型对应的标准页面URL
+ * @param {string} type - 链接类型：video、note、user 或 music
+ * @param {string} id - 作品ID、sec_uid 或音乐ID
+ * @returns {string} - 标准页面URL
+ */
+function buildCanonicalUrl(type, id) {
+    return `https://www.douyin.com/${type}/${id}`;
+}
+
+/**
+ * 从文本中提取所有抖音链接，保持出现顺序
+ * @param {string} text - 分享文本，可以包含多个链接
+ * @returns {Array<string>} - 抖音链接列表
+ */
+function extractUrls(text) {
+    return (String(text).match(URL_PATTERN) || [])
+        .map(url => url.replace(/[.,;!?)\]]+$/, ''))
+        .filter(isDouyinUrl);
+}
+
+/**
+ * 判断链接是否属于抖音域名（douyin.com、iesdouyin.com 及其子域名），省略协议时按 https 处理
+ * @param {string} url - 链接
+ * @returns {boolean} - 是否为抖音链接
+ */
+function isDouyinUrl(url) {
+    try {
+        return DOUYIN_HOST_PATTERN.test(new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 不发起请求，直接从链接或ID中解析类型和ID
+ * @param {string} input - 抖音链接、纯数字作品ID或 sec_uid
+ * @returns {Object|null} - { type, id, url }，无法直接解析（例如短链接）时返回null
+ */
+function parseShareUrl(input) {
+    const text = String(input || '').trim();
+
+    // 纯数字ID视为作品ID，图文作品也可以通过 /video/{id} 访问
+    if (/^\d{15,20}$/.test(text)) {
+        return { type: 'video', id: text, url: buildCanonicalUrl('video', text) };
+    }
+    // sec_uid 以 MS4wLjABAAAA 开头
+    if (/^MS4wLjABAAAA[\w-]+$/.test(text)) {
+        return { type: 'user', id: text, url: buildCanonicalUrl('user', text) };
+    }
+
+    // 其他网站的 /video/{id} 等路径不是抖音作品
+    if (!isDouyinUrl(text)) {
+        return null;
+    }
+
+    // modal_id 表示在其他页面上打开的作品弹窗，需要先于 /user/ 判断
+    const patterns = [
+        { regex: /[?&#]modal_id=(\d+)/, type: 'video' },
+        { regex: /\/share\/(video|note|user|music)\/([\w-]+)/ },
+        { regex: /\/(video|note)\/(\d+)/ },
+        { regex: /\/slides\/(\d+)/, type: 'note' },
+        { regex: /\/user\/([\w-]+)/, type: 'user' },
+        { regex: /\/music\/(\d+)/, type: 'music' }
+    ];
+
+    for (const pattern of patterns) {
+        const match = pattern.regex.exec(text);
+        if (match) {
+            const type = pattern.type || match[1];
+            const id = pattern.type ? match[1] : match[2];
+            // 自己的主页为 /user/self，不是有效的 sec_uid
+            if (type === 'user' && id === 'self') {
+                continue;
+            }
+            return { type, id, url: buildCanonicalUrl(type, id) };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 解析分享文本或链接，短链接通过HTTP跳转解析
+ * @param {string} input - 分享文本、抖音链接、纯数字作品ID或 sec_uid
+ * @param {Object} [options] - 解析选项
+ * @param {number} [options.timeout] - 每次请求的超时时间(ms)
+ * @returns {Promise<Object>} - { type, id, url, originalUrl }
+ */
+async function resolveShareLink(input, options = {}) {
+    const text = String(input || '').trim();
+    const originalUrl = extractUrls(text)[0] || text;
+
+    const parsed = parseShareUrl(originalUrl);
+    if (parsed) {
+        return { ...parsed, originalUrl };
+    }
+
+    // 只跟随抖音域名的短链接，不向其他网站发起请求
+    if (!/^https?:\/\//.test(originalUrl) || !isDouyinUrl(originalUrl)) {
+        const error = new Error(`无法识别的抖音链接: ${text}`);
+        error.status = 400;
+        throw error;
+    }
+
+    // 逐次跟随跳转，直到跳转地址可以解析出类型和ID
+    let currentUrl = originalUrl;
+    for (let redirects = 0; redirects < MAX_REDIRECTS; redirects++) {
+        let response;
+        try {
+            response = await axios.get(currentUrl, {
+                maxRedirects: 0,
+                timeout: options.timeout || 10000,
+                validateStatus: status => status < 400,
+                headers: {
+                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+                }
+            });
+        } catch (requestError) {
+            const error = new Error(`短链接解析失败: ${requestError.message}`);
+            error.status = 502;
+            throw error;
+        }
+
+        const location = response.headers.location;
+        if (response.status < 300 || response.status >= 400 || !location) {
+            break;
+        }
+
+        currentUrl = new URL(location, currentUrl).toString();
+        const redirected = parseShareUrl(currentUrl);
+        if (redirected) {
+            return { ...redirected, originalUrl };
+        }
+    }
+
+    const error = new Error(`无法识别的抖音链接: ${originalUrl}`);
+    error.status = 400;
+    throw error;
+}
+
+module.exports = { extractUrls, parseShareUrl, resolveShareLink, buildCanonicalUrl };
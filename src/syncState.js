@@ -0,0 +1,45 @@
+const path = require('path');
+const { ensureParentDir, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+/**
+ * 作者增量同步状态存储
+ * 记录每个作者已归档的最新作品（aweme_id / create_time），保存在本地JSON文件中
+ */
+class SyncStateStore {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.filePath - 状态文件路径，默认为 data/sync-state.json
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../data/sync-state.json');
+
+        ensureParentDir(this.filePath);
+        this.states = readJsonFile(this.filePath, {});
+    }
+
+    /**
+     * 获取作者的同步状态
+     * @param {string} secUid - 作者sec_uid
+     * @returns {Object|null} - { newestAwemeId, newestCreateTime, pendingAwemes, lastSyncAt }，从未同步时返回null；
+     *                        pendingAwemes 为未完成的作品 { awemeId, url, jobId }，直接下载失败的作品没有 jobId
+     */
+    get(secUid) {
+        return this.states[secUid] || null;
+    }
+
+    /**
+     * 保存作者的同步状态并写入文件
+     * @param {string} secUid - 作者sec_uid
+     * @param {Object} state - 同步状态
+     */
+    set(secUid, state) {
+        this.states[secUid] = {
+            ...state,
+            lastSyncAt: new Date().toISOString()
+        };
+        writeJsonFile(this.filePath, this.states);
+    }
+}
+
+module.exports = { SyncStateStore };
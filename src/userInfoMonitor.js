@@ -1,9 +1,20 @@
 const puppeteer = require('puppeteer');
+const fs = require('fs');
+const { UserStatsStore } = require('./userStatsStore');
 
 class UserInfoMonitor {
-    constructor() {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {UserStatsStore} options.store - 用户数据时间序列存储，默认使用 data/user-stats.jsonl
+     * @param {BrowserPool} options.browserPool - 浏览器池，提供时从池中获取页面，无需调用 init
+     */
+    constructor(options = {}) {
         this.browser = null;
         this.page = null;
+        this.browserPool = options.browserPool || null;
+        this.store = options.store || new UserStatsStore();
+        this.monitorTimer = null;
     }
 
     async init() {
@@ -40,115 +51,241 @@ class UserInfoMonitor {
         });
     }
 
-    async visitUserPage(userUrl) {
-        try {
-            console.log('Visiting user page:', userUrl);
-            
-            // 访问页面
-            await this.page.goto(userUrl, {
-                waitUntil: 'domcontentloaded',
-                timeout: 60000
-            });
+    /**
+     * 访问用户主页并解析 __pace_f 中的用户信息
+     * @param {string} userUrl - 用户主页URL
+     * @param {Object} [options] - 获取浏览器实例的选项
+     * @param {string} [options.priority] - 优先级：interactive（默认）或 bulk
+     * @param {AbortSignal} [options.signal] - 取消信号，取消后不再等待浏览器实例
+     * @returns {Promise<Object|null>} - 用户信息，未找到时返回null
+     */
+    async visitUserPage(userUrl, options = {}) {
+        let browserInstance = null;
+        let failed = false;
 
-            console.log('Page loaded, waiting for __pace_f...');
+        try {
+            let page = this.page;
+            if (this.browserPool) {
+                browserInstance = await this.browserPool.getBrowser({ priority: options.priority, signal: options.signal });
+                console.log(`Using browser instance ID: ${browserInstance.id} for user info`);
+                page = browserInstance.page;
+            }
 
-            // 等待页面加载完成
-            await this.page.waitForFunction(() => {
-                return document.readyState === 'complete';
-            }, { timeout: 30000 });
+            const userInfo = await this.extractUserInfo(page, userUrl);
 
-            // 等待 __pace_f 存在并打印数据
-            await this.page.waitForFunction(() => {
-                if (window.self && window.self.__pace_f) {
-                    // console.log('Found __pace_f:', window.self.__pace_f);
-                    return true;
+            if (userInfo) {
+                console.log('User Information:');
+                console.log('----------------');
+                for (const [key, value] of Object.entries(userInfo)) {
+                    console.log(`${key}: ${value}`);
                 }
-                return false;
-            }, { timeout: 30000 });
+            } else {
+                console.log('No user information found in __pace_f');
+            }
 
+            if (browserInstance) {
+                await this.browserPool.saveCookies(browserInstance.id);
+            }
+
+            return userInfo;
+        } catch (error) {
+            console.error('Error visiting user page:', error);
+            failed = true;
+            throw error;
+        } finally {
+            if (browserInstance) {
+                console.log(`Releasing browser instance ID: ${browserInstance.id} back to pool`);
+                this.browserPool.releaseBrowser(browserInstance.id, { failed });
+            }
+        }
+    }
+
+    /**
+     * 在指定页面中打开用户主页并解析 __pace_f 中的用户信息
+     * @param {Object} page - Puppeteer页面实例
+     * @param {string} userUrl - 用户主页URL
+     * @returns {Promise<Object|null>} - 用户信息，未找到时返回null
+     */
+    async extractUserInfo(page, userUrl) {
+        console.log('Visiting user page:', userUrl);
+        
+        // 访问页面
+        await page.goto(userUrl, {
+            waitUntil: 'domcontentloaded',
+            timeout: 60000
+        });
+
+        console.log('Page loaded, waiting for __pace_f...');
+
+        // 等待页面加载完成
+        await page.waitForFunction(() => {
+            return document.readyState === 'complete';
+        }, { timeout: 30000 });
+
+        // 等待 __pace_f 存在并打印数据
+        await page.waitForFunction(() => {
+            if (window.self && window.self.__pace_f) {
+                // console.log('Found __pace_f:', window.self.__pace_f);
+                return true;
+            }
+            return false;
+        }, { timeout: 30000 });
 
 
-            // 获取用户信息
-            const userInfo = await this.page.evaluate(() => {
-                if (window.self && window.self.__pace_f) {
-                    console.log('__pace_f length:', window.self.__pace_f.length);
+
+        // 获取用户信息
+        const userInfo = await page.evaluate(() => {
+            if (window.self && window.self.__pace_f) {
+                console.log('__pace_f length:', window.self.__pace_f.length);
+                
+                // 遍历 __pace_f 数组
+                for (let i = 0; i < window.self.__pace_f.length; i++) {
+                    const subArray = window.self.__pace_f[i];
                     
-                    // 遍历 __pace_f 数组
-                    for (let i = 0; i < window.self.__pace_f.length; i++) {
-                        const subArray = window.self.__pace_f[i];
+                    // 检查子数组的格式
+                    if (Array.isArray(subArray) && subArray.length === 2) {
+                        const [type, data] = subArray;
                         
-                        // 检查子数组的格式
-                        if (Array.isArray(subArray) && subArray.length === 2) {
-                            const [type, data] = subArray;
-                            
-                            // 检查是否是用户信息数据
-                            if (type === 1 && typeof data === 'string' && data.startsWith('8:[')) {
-                                try {
-                                    // 提取数组部分，去掉8:前缀和]\n后缀
-                                    const arrayStr = data.substring(2, data.length - 1); // 去掉 '8:' 和 ']\n'
-                                    const arrayData = JSON.parse(arrayStr);
-                                    
-                                    // 检查数组格式
-                                    if (Array.isArray(arrayData) && arrayData.length >= 4) {
-                                        const userObj = arrayData[3];
-                                        if (userObj && userObj.user && userObj.user.user) {
-                                            const userData = userObj.user.user;
-                                            return {
-                                                uid: userData.uid,
-                                                secUid: userData.secUid,
-                                                nickname: userData.nickname,
-                                                desc: userData.desc,
-                                                followingCount: userData.followingCount,
-                                                followerCount: userData.followerCount,
-                                                totalFavorited: userData.totalFavorited,
-                                                awemeCount: userData.awemeCount,
-                                                avatarUrl: userData.avatarUrl,
-                                                uniqueId: userData.uniqueId,
-                                                ipLocation: userData.ipLocation,
-                                                gender: userData.gender,
-                                                age: userData.age,
-                                                country: userData.country,
-                                                province: userData.province,
-                                                city: userData.city,
-                                                district: userData.district,
-                                                customVerify: userData.customVerify,
-                                                isBlocked: userData.isBlocked,
-                                                isBlock: userData.isBlock,
-                                                isBan: userData.isBan,
-                                                timestamp: new Date().toISOString()
-                                            };
-                                        }
+                        // 检查是否是用户信息数据
+                        if (type === 1 && typeof data === 'string' && data.startsWith('8:[')) {
+                            try {
+                                // 提取数组部分，去掉8:前缀和]\n后缀
+                                const arrayStr = data.substring(2, data.length - 1); // 去掉 '8:' 和 ']\n'
+                                const arrayData = JSON.parse(arrayStr);
+                                
+                                // 检查数组格式
+                                if (Array.isArray(arrayData) && arrayData.length >= 4) {
+                                    const userObj = arrayData[3];
+                                    if (userObj && userObj.user && userObj.user.user) {
+                                        const userData = userObj.user.user;
+                                        return {
+                                            uid: userData.uid,
+                                            secUid: userData.secUid,
+                                            nickname: userData.nickname,
+                                            desc: userData.desc,
+                                            followingCount: userData.followingCount,
+                                            followerCount: userData.followerCount,
+                                            totalFavorited: userData.totalFavorited,
+                                            awemeCount: userData.awemeCount,
+                                            avatarUrl: userData.avatarUrl,
+                                            uniqueId: userData.uniqueId,
+                                            ipLocation: userData.ipLocation,
+                                            gender: userData.gender,
+                                            age: userData.age,
+                                            country: userData.country,
+                                            province: userData.province,
+                                            city: userData.city,
+                                            district: userData.district,
+                                            customVerify: userData.customVerify,
+                                            isBlocked: userData.isBlocked,
+                                            isBlock: userData.isBlock,
+                                            isBan: userData.isBan,
+                                            timestamp: new Date().toISOString()
+                                        };
                                     }
-                                } catch (error) {
-                                    console.error(`Error parsing user data:`, error);
                                 }
+                            } catch (error) {
+                                console.error(`Error parsing user data:`, error);
                             }
                         }
                     }
                 }
-                return null;
-            });
+            }
+            return null;
+        });
 
-            if (userInfo) {
-                console.log('User Information:');
-                console.log('----------------');
-                for (const [key, value] of Object.entries(userInfo)) {
-                    console.log(`${key}: ${value}`);
+        // 等待一段时间，确保数据被捕获
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        
+        return userInfo;
+    }
+
+    /**
+     * 采集一轮用户数据并写入时间序列存储
+     * @param {Array<string>} userUrls - 用户主页URL列表
+     * @returns {Promise<Array<Object>>} - 本轮采集到的快照
+     */
+    async pollOnce(userUrls) {
+        const snapshots = [];
+
+        for (const userUrl of userUrls) {
+            try {
+                // 定时采集在后台进行，让API请求优先获取实例
+                const userInfo = await this.visitUserPage(userUrl, { priority: 'bulk' });
+                if (userInfo) {
+                    const snapshot = { ...userInfo, url: userUrl };
+                    this.store.append(snapshot);
+                    snapshots.push(snapshot);
                 }
-            } else {
-                console.log('No user information found in __pace_f');
+            } catch (error) {
+                // 单个用户失败不影响其他用户
+                console.error(`Error polling user ${userUrl}:`, error);
             }
+        }
 
-            // 等待一段时间，确保数据被捕获
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-        } catch (error) {
-            console.error('Error visiting user page:', error);
-            throw error;
+        console.log(`Poll completed, saved ${snapshots.length}/${userUrls.length} snapshots`);
+        return snapshots;
+    }
+
+    /**
+     * 启动监控模式，按固定间隔采集用户数据
+     * @param {Array<string>} userUrls - 用户主页URL列表
+     * @param {number} interval - 采集间隔(ms)，默认1小时
+     * @returns {Promise<void>}
+     */
+    async startMonitor(userUrls, interval = 3600000) {
+        if (!this.page && !this.browserPool) {
+            await this.init();
         }
+
+        console.log(`Monitor started for ${userUrls.length} users with interval: ${interval}ms`);
+
+        // 上一轮未结束时不开始新一轮，避免重叠
+        let polling = false;
+        const poll = async () => {
+            if (polling) {
+                console.log('Previous poll still running, skipping this round');
+                return;
+            }
+            polling = true;
+            try {
+                await this.pollOnce(userUrls);
+            } finally {
+                polling = false;
+            }
+        };
+
+        await poll();
+        this.monitorTimer = setInterval(() => {
+            poll().catch(err => {
+                console.error('Error during user monitor poll:', err);
+            });
+        }, interval);
+    }
+
+    /**
+     * 停止监控模式
+     */
+    stopMonitor() {
+        if (this.monitorTimer) {
+            clearInterval(this.monitorTimer);
+            this.monitorTimer = null;
+            console.log('Monitor stopped');
+        }
+    }
+
+    /**
+     * 获取用户每天的数据变化量，例如粉丝增长
+     * @param {string} secUid - 用户sec_uid
+     * @param {number} days - 统计最近多少天
+     * @returns {Array<Object>} - 每日变化量
+     */
+    getDailyDeltas(secUid, days = 30) {
+        return this.store.getDailyDeltas(secUid, { days });
     }
 
     async close() {
+        this.stopMonitor();
         if (this.browser) {
             await this.browser.close();
         }
@@ -156,12 +293,42 @@ class UserInfoMonitor {
 }
 
 // 使用示例
+// 用法:
+//   node src/userInfoMonitor.js [用户主页URL]                 采集一次并打印
+//   node src/userInfoMonitor.js monitor <配置文件>             按配置文件中的间隔持续采集
+//   node src/userInfoMonitor.js report <sec_uid> [天数]       打印每日变化量
 async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (command === 'report') {
+        const monitor = new UserInfoMonitor();
+        const deltas = monitor.getDailyDeltas(args[0], parseInt(args[1], 10) || 30);
+        console.table(deltas.map(entry => ({
+            date: entry.date,
+            followerCount: entry.followerCount,
+            followerGrowth: entry.followerCountDelta,
+            totalFavoritedGrowth: entry.totalFavoritedDelta,
+            newPosts: entry.awemeCountDelta
+        })));
+        return;
+    }
+
     const monitor = new UserInfoMonitor();
-    
+
+    if (command === 'monitor') {
+        // 配置文件格式: { "interval": 3600000, "users": ["https://www.douyin.com/user/..."] }
+        const config = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+        process.on('SIGINT', async () => {
+            await monitor.close();
+            process.exit(0);
+        });
+        await monitor.startMonitor(config.users || [], config.interval);
+        return;
+    }
+
     try {
         await monitor.init();
-        await monitor.visitUserPage('https://www.douyin.com/user/MS4wLjABAAAA4ZbhIlGTObA8o6Ha2xjQLpgWZUEUqLsDAVaN-mgBeLJOmTT_s6QLepQKrx8kkVNl');
+        await monitor.visitUserPage(command || 'https://www.douyin.com/user/MS4wLjABAAAA4ZbhIlGTObA8o6Ha2xjQLpgWZUEUqLsDAVaN-mgBeLJOmTT_s6QLepQKrx8kkVNl');
     } catch (error) {
         console.error('Error:', error);
     } finally {
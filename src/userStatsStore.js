@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const { ensureParentDir } = require('./jsonFile');
+
+/**
+ * 需要计算变化量的统计字段
+ */
+const STAT_FIELDS = ['followerCount', 'followingCount', 'totalFavorited', 'awemeCount'];
+
+// 按北京时间（UTC+8）划分日期，每日变化量不受服务器时区影响
+const TIMEZONE_OFFSET_HOURS = 8;
+
+/**
+ * 用户数据时间序列存储
+ * 每次采集的用户信息作为一行JSON追加到 JSONL 文件中
+ */
+class UserStatsStore {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.filePath - JSONL文件路径，默认为 data/user-stats.jsonl
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../data/user-stats.jsonl');
+
+        ensureParentDir(this.filePath);
+    }
+
+    /**
+     * 追加一条用户数据快照
+     * @param {Object} snapshot - UserInfoMonitor.visitUserPage 返回的用户信息
+     */
+    append(snapshot) {
+        const record = {
+            ...snapshot,
+            timestamp: snapshot.timestamp || new Date().toISOString()
+        };
+        fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+    }
+
+    /**
+     * 读取用户的所有快照，按时间升序排列
+     * @param {string} secUid - 用户sec_uid
+     * @param {Object} [options] - 查询选项
+     * @param {number} [options.since] - 只返回该时间(ms)之后的快照
+     * @returns {Array<Object>} - 快照列表
+     */
+    getSnapshots(secUid, options = {}) {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        const snapshots = [];
+        const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+        for (const line of lines) {
+            if (!line.trim()) {
+                continue;
+            }
+            try {
+                const record = JSON.parse(line);
+                if (record.secUid !== secUid) {
+                    continue;
+                }
+                if (options.since && new Date(record.timestamp).getTime() < options.since) {
+                    continue;
+                }
+                snapshots.push(record);
+            } catch (error) {
+                console.error('Skipping malformed stats line:', error.message);
+            }
+        }
+
+        return snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    }
+
+    /**
+     * 计算每天的数据变化量，例如每日粉丝增长
+     * 每天（北京时间）取最后一次快照，与前一天的最后一次快照相减
+     * @param {string} secUid - 用户sec_uid
+     * @param {Object} [options] - 查询选项
+     * @param {number} [options.days] - 统计最近多少天，默认30天
+     * @returns {Array<Object>} - [{ date, followerCount, followerCountDelta, ... }]，date 为北京时间的日期
+     */
+    getDailyDeltas(secUid, options = {}) {
+        const days = options.days || 30;
+        // 多取一天，用于计算第一天的变化量
+        const since = Date.now() - (days + 1) * 24 * 60 * 60 * 1000;
+        const snapshots = this.getSnapshots(secUid, { since });
+
+        // 每天保留最后一次快照
+        const lastOfDay = new Map();
+        for (const snapshot of snapshots) {
+            const day = new Date(new Date(snapshot.timestamp).getTime() + TIMEZONE_OFFSET_HOURS * 60 * 60 * 1000).toISOString().slice(0, 10);
+            lastOfDay.set(day, snapshot);
+        }
+
+        const deltas = [];
+        let previous = null;
+        for (const [day, snapshot] of lastOfDay) {
+            if (previous) {
+                const entry = { date: day };
+                for (const field of STAT_FIELDS) {
+                    entry[field] = snapshot[field];
+                    entry[`${field}Delta`] = typeof snapshot[field] === 'number' && typeof previous[field] === 'number'
+                        ? snapshot[field] - previous[field]
+                        : null;
+                }
+                deltas.push(entry);
+            }
+            previous = snapshot;
+        }
+
+        return deltas.slice(-days);
+    }
+}
+
+module.exports = { UserStatsStore, STAT_FIELDS };
@@ -0,0 +1,116 @@
+const fs = require('fs');
+
+/**
+ * verifyDownload.js
+ * 校验下载的视频文件是否完整：字节数与接口返回的 dataSize 一致，且MP4容器结构正常。
+ */
+
+/**
+ * 读取MP4文件的顶层box类型列表
+ * 只读取每个box的头部，按box大小跳转，moov位于文件末尾时同样可以识别
+ * 声明的大小超出文件末尾的box视为被截断，不计入列表并停止读取
+ * @param {string} filePath - 文件路径
+ * @returns {Object} - { boxes, truncated }，boxes 为完整的顶层box类型列表，例如 ['ftyp', 'moov', 'mdat']；
+ *                     truncated 为被截断的box { type, size, available }，没有时为null
+ */
+function readTopLevelBoxes(filePath) {
+    const boxes = [];
+    let truncated = null;
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const header = Buffer.alloc(16);
+        let offset = 0;
+
+        while (offset + 8 <= fileSize) {
+            const bytesRead = fs.readSync(fd, header, 0, 16, offset);
+            if (bytesRead < 8) {
+                break;
+            }
+
+            let boxSize = header.readUInt32BE(0);
+            const boxType = header.toString('latin1', 4, 8);
+
+            if (boxSize === 1) {
+                // 64位扩展大小
+                if (bytesRead < 16) {
+                    break;
+                }
+                boxSize = Number(header.readBigUInt64BE(8));
+            } else if (boxSize === 0) {
+                // box延伸到文件末尾
+                boxSize = fileSize - offset;
+            }
+
+            // box类型必须是可打印字符，否则说明文件结构已损坏
+            if (boxSize < 8 || !/^[\x20-\x7e]{4}$/.test(boxType)) {
+                break;
+            }
+            if (offset + boxSize > fileSize) {
+                truncated = { type: boxType, size: boxSize, available: fileSize - offset };
+                break;
+            }
+
+            boxes.push(boxType);
+            offset += boxSize;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return { boxes, truncated };
+}
+
+/**
+ * 校验下载的视频文件
+ * @param {string} filePath - 文件路径
+ * @param {number} [expectedSize] - 预期字节数（接口返回的 dataSize）
+ * @returns {Object} - 校验结果，ok 为 false 时 errors 中包含失败原因，truncatedBox 为被截断的box
+ */
+function verifyVideoFile(filePath, expectedSize) {
+    const size = fs.statSync(filePath).size;
+    const errors = [];
+
+    let sizeMatches = null;
+    if (expectedSize) {
+        sizeMatches = size === expectedSize;
+        if (!sizeMatches) {
+            errors.push(`文件大小不一致: 实际 ${size} 字节，预期 ${expectedSize} 字节`);
+        }
+    }
+
+    let boxes = [];
+    let truncatedBox = null;
+    try {
+        ({ boxes, truncated: truncatedBox } = readTopLevelBoxes(filePath));
+    } catch (error) {
+        errors.push(`读取MP4结构失败: ${error.message}`);
+    }
+    if (truncatedBox) {
+        errors.push(`MP4 ${truncatedBox.type} box 被截断: 声明 ${truncatedBox.size} 字节，实际只有 ${truncatedBox.available} 字节`);
+    }
+
+    const hasFtyp = boxes.includes('ftyp');
+    const hasMoov = boxes.includes('moov');
+    if (!hasFtyp) {
+        errors.push('MP4文件缺少ftyp box');
+    }
+    if (!hasMoov) {
+        errors.push('MP4文件缺少moov box');
+    }
+
+    return {
+        ok: errors.length === 0,
+        size,
+        expectedSize: expectedSize || null,
+        sizeMatches,
+        hasFtyp,
+        hasMoov,
+        boxes,
+        truncatedBox,
+        errors
+    };
+}
+
+module.exports = { verifyVideoFile, readTopLevelBoxes };
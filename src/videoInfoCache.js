@@ -0,0 +1,186 @@
+const path = require('path');
+const { ensureParentDir, readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// 缓存使用方式：use 读取并写入缓存，bypass 不读取也不写入，refresh 不读取但写入最新结果
+const CACHE_MODES = ['use', 'bypass', 'refresh'];
+
+/**
+ * 内存缓存后端
+ * 超过最大条目数时淘汰最早写入的条目
+ */
+class MemoryCacheBackend {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {number} options.maxEntries - 最大缓存条目数
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    set(key, entry) {
+        // 重新插入以更新写入顺序
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * 文件缓存后端
+ * 缓存保存在本地JSON文件中，服务重启后仍然有效
+ */
+class FileCacheBackend {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string} options.filePath - 缓存文件路径，默认为 data/video-info-cache.json
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || path.join(__dirname, '../data/video-info-cache.json');
+
+        ensureParentDir(this.filePath);
+        this.entries = readJsonFile(this.filePath, {});
+    }
+
+    get(key) {
+        return this.entries[key] || null;
+    }
+
+    set(key, entry) {
+        this.entries[key] = entry;
+        this._flush();
+    }
+
+    delete(key) {
+        if (this.entries[key]) {
+            delete this.entries[key];
+            this._flush();
+        }
+    }
+
+    /**
+     * 将缓存写入文件，缓存体积较大，不缩进
+     * @private
+     */
+    _flush() {
+        writeJsonFile(this.filePath, this.entries, { compact: true });
+    }
+}
+
+/**
+ * 返回去掉所有带签名的CDN地址后的视频信息副本
+ * @param {Object} videoInfo - 视频信息对象
+ * @returns {Object} - 地址字段为null的视频信息
+ */
+function stripUrls(videoInfo) {
+    const stripMusic = music => music ? { ...music, coverUrl: null, playUrl: null } : music;
+
+    const stripped = {
+        ...videoInfo,
+        videoUrl: null,
+        coverUrl: null,
+        music: stripMusic(videoInfo.music)
+    };
+    if (videoInfo.type === 'note') {
+        stripped.images = videoInfo.images.map(() => null);
+        stripped.musicUrl = null;
+    }
+    if (videoInfo.variants) {
+        stripped.variants = videoInfo.variants.map(variant => ({ ...variant, url: null }));
+    }
+    if (videoInfo.metadata) {
+        stripped.metadata = { ...videoInfo.metadata, music: stripMusic(videoInfo.metadata.music) };
+    }
+    return stripped;
+}
+
+/**
+ * 视频信息缓存，以aweme_id为键
+ * 元数据（标题、作者、统计等）在 ttl 内有效；视频、封面等CDN地址带有过期签名，只在较短的 urlTtl 内有效
+ */
+class VideoInfoCache {
+    /**
+     * 构造函数
+     * @param {Object} options - 配置选项
+     * @param {string|Object} options.backend - 缓存后端：'memory'（默认）、'file'，或实现了 get/set/delete 的自定义后端
+     * @param {number} options.ttl - 元数据有效期(ms)，默认24小时
+     * @param {number} options.urlTtl - CDN地址有效期(ms)，默认30分钟
+     * @param {string} options.filePath - 文件后端的缓存文件路径
+     * @param {number} options.maxEntries - 内存后端的最大缓存条目数
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl || 24 * 60 * 60 * 1000;
+        this.urlTtl = Math.min(options.urlTtl || 30 * 60 * 1000, this.ttl);
+
+        const backend = options.backend || 'memory';
+        if (backend === 'memory') {
+            this.backend = new MemoryCacheBackend(options);
+        } else if (backend === 'file') {
+            this.backend = new FileCacheBackend(options);
+        } else if (typeof backend === 'object' && ['get', 'set', 'delete'].every(method => typeof backend[method] === 'function')) {
+            this.backend = backend;
+        } else {
+            throw new Error(`无效的缓存后端: ${backend}`);
+        }
+    }
+
+    /**
+     * 读取缓存的视频信息
+     * @param {string} awemeId - 作品ID
+     * @returns {Object|null} - { videoInfo, cachedAt, urlsExpired }，元数据过期或不存在时返回null；
+     *                          urlsExpired 为true时 videoInfo 中的地址字段已置为null
+     */
+    get(awemeId) {
+        const entry = this.backend.get(awemeId);
+        if (!entry) {
+            return null;
+        }
+
+        const age = Date.now() - entry.cachedAt;
+        if (age > this.ttl) {
+            this.backend.delete(awemeId);
+            return null;
+        }
+
+        const urlsExpired = age > this.urlTtl;
+        return {
+            videoInfo: urlsExpired ? stripUrls(entry.videoInfo) : entry.videoInfo,
+            cachedAt: entry.cachedAt,
+            urlsExpired
+        };
+    }
+
+    /**
+     * 写入视频信息
+     * @param {string} awemeId - 作品ID
+     * @param {Object} videoInfo - 视频信息对象
+     */
+    set(awemeId, videoInfo) {
+        this.backend.set(awemeId, {
+            videoInfo,
+            cachedAt: Date.now()
+        });
+    }
+
+    /**
+     * 删除缓存的视频信息
+     * @param {string} awemeId - 作品ID
+     */
+    delete(awemeId) {
+        this.backend.delete(awemeId);
+    }
+}
+
+module.exports = { VideoInfoCache, MemoryCacheBackend, FileCacheBackend, CACHE_MODES };
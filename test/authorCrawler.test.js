@@ -0,0 +1,107 @@
+const { AuthorCrawler } = require('../src/author');
+
+/**
+ * 伪造的任务队列，超过容量时与 DownloadJobQueue 一样抛出503
+ */
+function createJobQueue(capacity) {
+    return {
+        submitted: [],
+        submit(url) {
+            if (this.submitted.length >= capacity) {
+                const error = new Error('下载任务队列已满，请稍后再试');
+                error.status = 503;
+                throw error;
+            }
+            const job = { id: `job-${this.submitted.length + 1}`, url };
+            this.submitted.push(job);
+            return job;
+        }
+    };
+}
+
+describe('AuthorCrawler.downloadAwemes', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('records targets that do not fit in the job queue as failed', async () => {
+        const crawler = new AuthorCrawler({
+            browserPool: {},
+            jobQueue: createJobQueue(2),
+            syncState: {}
+        });
+        const awemes = ['1', '2', '3'].map(id => ({ aweme_id: id }));
+
+        const downloads = await crawler.downloadAwemes(awemes);
+
+        expect(downloads).toEqual([
+            { awemeId: '1', jobId: 'job-1' },
+            { awemeId: '2', jobId: 'job-2' },
+            { awemeId: '3', success: false, error: '下载任务队列已满，请稍后再试' }
+        ]);
+    });
+});
+
+describe('AuthorCrawler.sync', () => {
+    let states;
+    let jobQueue;
+    let crawler;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        states = {};
+        jobQueue = createJobQueue(100);
+        jobQueue.getJob = jobId => jobQueue.submitted.find(job => job.id === jobId) || null;
+        crawler = new AuthorCrawler({
+            browserPool: {},
+            jobQueue,
+            syncState: {
+                get: secUid => states[secUid] || null,
+                set: (secUid, state) => {
+                    states[secUid] = state;
+                }
+            }
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reconciles queued jobs instead of resubmitting them', async () => {
+        crawler.crawl = async () => ({
+            secUid: 'author',
+            awemes: [{ aweme_id: '1', create_time: 100 }, { aweme_id: '2', create_time: 200 }]
+        });
+
+        await crawler.sync('author');
+        expect(jobQueue.submitted).toHaveLength(2);
+        expect(states.author.newestCreateTime).toBe(200);
+        expect(states.author.pendingAwemes.map(item => item.jobId)).toEqual(['job-1', 'job-2']);
+
+        // 任务1完成、任务2仍在排队：不提交任何任务
+        jobQueue.submitted[0].state = 'done';
+        jobQueue.submitted[1].state = 'queued';
+        await crawler.sync('author');
+        expect(jobQueue.submitted).toHaveLength(2);
+        expect(states.author.pendingAwemes).toEqual([
+            { awemeId: '2', url: 'https://www.douyin.com/video/2', jobId: 'job-2' }
+        ]);
+
+        // 任务2失败：重新提交
+        jobQueue.submitted[1].state = 'failed';
+        await crawler.sync('author');
+        expect(jobQueue.submitted.map(job => job.url)).toEqual([
+            'https://www.douyin.com/video/1',
+            'https://www.douyin.com/video/2',
+            'https://www.douyin.com/video/2'
+        ]);
+        expect(states.author.pendingAwemes).toEqual([
+            { awemeId: '2', url: 'https://www.douyin.com/video/2', jobId: 'job-3' }
+        ]);
+    });
+});
@@ -0,0 +1,114 @@
+const axios = require('axios');
+const { DouyinDownloaderServer } = require('../src/server');
+
+describe('POST /api/video/batch', () => {
+    let server;
+    let baseUrl;
+    let downloader;
+    let activeRedirects;
+    let maxActiveRedirects;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        // 短链接 /a/ 和 /b/ 指向同一个作品，/c/ 指向另一个作品
+        const redirects = {
+            'https://v.douyin.com/a/': 'https://www.iesdouyin.com/share/video/1/',
+            'https://v.douyin.com/b/': 'https://www.iesdouyin.com/share/video/1/',
+            'https://v.douyin.com/c/': 'https://www.iesdouyin.com/share/video/2/'
+        };
+        activeRedirects = 0;
+        maxActiveRedirects = 0;
+        jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+            activeRedirects++;
+            maxActiveRedirects = Math.max(maxActiveRedirects, activeRedirects);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            activeRedirects--;
+            return { status: 302, headers: { location: redirects[url] } };
+        });
+
+        downloader = {
+            browserPool: { maxPoolSize: 3 },
+            getVideoInfo: jest.fn(async (url) => ({ url })),
+            download: jest.fn(async () => ({ videoPath: null, imagePaths: null, coverPath: null, musicPath: null, metadataPath: null }))
+        };
+        await startServer({});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    async function startServer(options) {
+        const downloaderServer = new DouyinDownloaderServer({ cookieStore: {}, ...options });
+        downloaderServer.downloader = downloader;
+        downloaderServer.isInitialized = true;
+        server = downloaderServer.app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/video/batch`;
+    }
+
+    async function postBatch(body) {
+        const response = await fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    test('resolves short links concurrently and dedupes by aweme id', async () => {
+        const response = await fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                sharedText: 'https://v.douyin.com/a/ https://v.douyin.com/b/ https://v.douyin.com/c/ https://www.douyin.com/note/1'
+            })
+        });
+        const { data } = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(maxActiveRedirects).toBeGreaterThan(1);
+        expect(data.total).toBe(2);
+        expect(data.items.map(item => item.awemeId).sort()).toEqual(['1', '2']);
+        expect(downloader.getVideoInfo).toHaveBeenCalledTimes(2);
+    });
+
+    test('rejects an unknown quality preference object with 400', async () => {
+        const response = await fetch(baseUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sharedText: 'https://www.douyin.com/video/1', download: true, quality: { prefer: 'best' } })
+        });
+
+        expect(response.status).toBe(400);
+        expect((await response.json()).message).toContain('prefer');
+        expect(downloader.getVideoInfo).not.toHaveBeenCalled();
+    });
+
+    test('gets browser instances with bulk priority', async () => {
+        await postBatch({ sharedText: 'https://www.douyin.com/video/1' });
+        await postBatch({ sharedText: 'https://www.douyin.com/video/2', download: true, quality: '720p' });
+
+        expect(downloader.getVideoInfo).toHaveBeenCalledWith('https://www.douyin.com/video/1', expect.objectContaining({ priority: 'bulk' }));
+        expect(downloader.download).toHaveBeenCalledWith('https://www.douyin.com/video/2', expect.objectContaining({ priority: 'bulk', quality: '720p' }));
+    });
+
+    test('counts links against the batch size after deduping them', async () => {
+        await new Promise(resolve => server.close(resolve));
+        await startServer({ maxQueueSize: 2 });
+
+        const deduped = await postBatch({
+            sharedText: ['https://v.douyin.com/a/', 'https://v.douyin.com/b/', 'https://www.douyin.com/video/1', 'https://v.douyin.com/c/']
+        });
+        expect(deduped.status).toBe(200);
+        expect(deduped.body.data.total).toBe(2);
+
+        const tooMany = await postBatch({ sharedText: 'https://v.douyin.com/a/ https://v.douyin.com/c/ https://www.douyin.com/video/3' });
+        expect(tooMany.status).toBe(400);
+        expect(tooMany.body.message).toContain('当前为 3 个');
+        expect(downloader.getVideoInfo).toHaveBeenCalledTimes(2);
+    });
+});
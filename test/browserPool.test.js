@@ -0,0 +1,320 @@
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('../src/browserPool');
+
+/**
+ * 伪造的Puppeteer页面，记录设置的cookies和是否已关闭
+ */
+function fakePage(cookies = []) {
+    const page = new EventEmitter();
+    page.cookieJar = cookies;
+    page.closed = false;
+    page.setViewport = async () => {};
+    page.setUserAgent = async () => {};
+    page.evaluateOnNewDocument = async () => {};
+    page.cookies = async () => page.cookieJar;
+    page.setCookie = async (...added) => {
+        page.cookieJar = added;
+    };
+    page.close = async () => {
+        page.closed = true;
+    };
+    return page;
+}
+
+/**
+ * 伪造的浏览器实例，形状与 _createBrowserInstance 的返回值一致
+ */
+function fakeInstance(id) {
+    const page = fakePage();
+    const instance = {
+        id,
+        browser: { close: jest.fn(async () => {}) },
+        page,
+        basePage: page,
+        leaseContext: null,
+        teardown: null,
+        onPageError: null,
+        account: 'default',
+        inUse: true,
+        healthy: true,
+        uses: 1,
+        consecutiveFailures: 0,
+        createdAt: Date.now(),
+        lastUsed: Date.now()
+    };
+    instance.onPageError = () => {
+        instance.healthy = false;
+    };
+    page.on('error', instance.onPageError);
+    return instance;
+}
+
+describe('BrowserPool creation failure', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('hands the freed slot to a queued request', async () => {
+        const pool = new BrowserPool({ maxPoolSize: 1, queueTimeout: 5000, cookieStore: {} });
+        let launches = 0;
+        pool._createBrowserInstance = async () => {
+            launches++;
+            await new Promise(resolve => setTimeout(resolve, 20));
+            if (launches === 1) {
+                throw new Error('launch failed');
+            }
+            return fakeInstance(`instance-${launches}`);
+        };
+
+        const first = pool.getBrowser();
+        const second = pool.getBrowser();
+
+        await expect(first).rejects.toThrow('launch failed');
+        const instance = await second;
+
+        expect(instance.id).toBe('instance-2');
+        expect(pool.queue).toHaveLength(0);
+        expect(pool.creating).toBe(0);
+    });
+});
+
+describe('BrowserPool recycling', () => {
+    let now;
+    let launches;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        launches = 0;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function createPool(options) {
+        const pool = new BrowserPool({ maxPoolSize: 1, queueTimeout: 5000, cookieStore: {}, ...options });
+        pool._createBrowserInstance = async () => {
+            launches++;
+            return fakeInstance(`instance-${launches}`);
+        };
+        return pool;
+    }
+
+    test('recycles an instance once it reaches maxUses', async () => {
+        const pool = createPool({ maxUses: 2 });
+
+        const first = await pool.getBrowser();
+        pool.releaseBrowser(first.id);
+        expect(pool.pool).toEqual([first]);
+
+        const second = await pool.getBrowser();
+        expect(second).toBe(first);
+        pool.releaseBrowser(second.id);
+
+        expect(pool.pool).toHaveLength(0);
+        expect(first.browser.close).toHaveBeenCalled();
+        expect((await pool.getBrowser()).id).toBe('instance-2');
+    });
+
+    test('recycles an idle instance older than maxAge', async () => {
+        const pool = createPool({ maxAge: 60000 });
+
+        const first = await pool.getBrowser();
+        pool.releaseBrowser(first.id);
+
+        now += 30000;
+        expect(await pool.getBrowser()).toBe(first);
+        pool.releaseBrowser(first.id);
+
+        now += 30000;
+        const second = await pool.getBrowser();
+
+        expect(second.id).toBe('instance-2');
+        expect(first.browser.close).toHaveBeenCalled();
+        expect(pool.pool).toEqual([second]);
+    });
+
+    test('recycles an instance in use once it gets older than maxAge when it is released', async () => {
+        const pool = createPool({ maxAge: 60000 });
+
+        const first = await pool.getBrowser();
+        now += 60000;
+        expect(pool.pool).toEqual([first]);
+
+        pool.releaseBrowser(first.id);
+        expect(pool.pool).toHaveLength(0);
+    });
+
+    test('recycles an instance after consecutive failures and resets the count on success', async () => {
+        const pool = createPool({ maxConsecutiveFailures: 2 });
+
+        const instance = await pool.getBrowser();
+        pool.releaseBrowser(instance.id, { failed: true });
+        await pool.getBrowser();
+        pool.releaseBrowser(instance.id, { failed: false });
+        await pool.getBrowser();
+        pool.releaseBrowser(instance.id, { failed: true });
+        expect(pool.pool).toEqual([instance]);
+
+        await pool.getBrowser();
+        pool.releaseBrowser(instance.id, { failed: true });
+        expect(pool.pool).toHaveLength(0);
+    });
+
+    test('replaces a recycled instance for queued waiters in priority order', async () => {
+        const pool = createPool({ maxConsecutiveFailures: 1 });
+        const first = await pool.getBrowser();
+        const bulk = pool.getBrowser({ priority: 'bulk' });
+        const interactive = pool.getBrowser();
+        expect(pool.queue.map(waiter => waiter.priority)).toEqual(['interactive', 'bulk']);
+
+        pool.releaseBrowser(first.id, { failed: true });
+        const replacement = await interactive;
+
+        expect(replacement.id).toBe('instance-2');
+        expect(replacement).toMatchObject({ inUse: true, uses: 1 });
+        expect(pool.pool).toEqual([replacement]);
+        expect(pool.queue).toHaveLength(1);
+        expect(pool.creating).toBe(0);
+
+        pool.releaseBrowser(replacement.id, { failed: false });
+        expect(await bulk).toBe(replacement);
+        expect(replacement.uses).toBe(2);
+        expect(pool.queue).toHaveLength(0);
+    });
+
+    test('keeps a replacement idle when its waiter was aborted while it was starting', async () => {
+        const pool = createPool({ maxConsecutiveFailures: 1 });
+        const first = await pool.getBrowser();
+        const controller = new AbortController();
+        const waiting = pool.getBrowser({ signal: controller.signal });
+
+        pool.releaseBrowser(first.id, { failed: true });
+        expect(pool.creating).toBe(1);
+        controller.abort();
+        await expect(waiting).rejects.toThrow();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(pool.pool).toHaveLength(1);
+        expect(pool.pool[0]).toMatchObject({ id: 'instance-2', inUse: false, uses: 0 });
+        expect(pool.queue).toHaveLength(0);
+    });
+});
+
+describe('BrowserPool page isolation', () => {
+    let pool;
+    let instance;
+    let openedPages;
+    let openedContexts;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        openedPages = [];
+        openedContexts = [];
+        pool = new BrowserPool({ maxPoolSize: 1, cookieStore: {} });
+        pool._createBrowserInstance = async () => {
+            instance = fakeInstance('instance');
+            instance.basePage.cookieJar = [{ name: 'sessionid', value: 'base' }];
+            instance.browser.newPage = async () => {
+                const page = fakePage();
+                openedPages.push(page);
+                return page;
+            };
+            instance.browser.createBrowserContext = async () => {
+                const context = {
+                    closed: false,
+                    newPage: async () => {
+                        const page = fakePage();
+                        openedPages.push(page);
+                        return page;
+                    },
+                    close: async () => {
+                        context.closed = true;
+                    }
+                };
+                openedContexts.push(context);
+                return context;
+            };
+            return instance;
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('leases a new page and closes it with its error listener on release', async () => {
+        const leased = await pool.getBrowser({ isolation: 'page' });
+
+        expect(leased.page).toBe(openedPages[0]);
+        expect(leased.page).not.toBe(leased.basePage);
+        expect(leased.page.listenerCount('error')).toBe(1);
+
+        pool.releaseBrowser(leased.id);
+        await instance.teardown;
+
+        expect(openedPages[0].closed).toBe(true);
+        expect(openedPages[0].listenerCount('error')).toBe(0);
+        expect(instance.page).toBe(instance.basePage);
+        expect(instance.basePage.closed).toBe(false);
+        expect(pool.pool).toEqual([instance]);
+    });
+
+    test('recycles the instance when a leased page crashes', async () => {
+        const leased = await pool.getBrowser({ isolation: 'page' });
+
+        leased.page.emit('error', new Error('Page crashed!'));
+        expect(instance.healthy).toBe(false);
+
+        pool.releaseBrowser(leased.id);
+        expect(pool.pool).toHaveLength(0);
+        expect(instance.browser.close).toHaveBeenCalled();
+    });
+
+    test('copies cookies into a new context and writes them back on release', async () => {
+        const leased = await pool.getBrowser({ isolation: 'context' });
+
+        expect(leased.leaseContext).toBe(openedContexts[0]);
+        expect(leased.page.cookieJar).toEqual([{ name: 'sessionid', value: 'base' }]);
+
+        leased.page.cookieJar = [{ name: 'sessionid', value: 'updated' }];
+        pool.releaseBrowser(leased.id);
+        await instance.teardown;
+
+        expect(openedContexts[0].closed).toBe(true);
+        expect(instance.leaseContext).toBeNull();
+        expect(instance.basePage.cookieJar).toEqual([{ name: 'sessionid', value: 'updated' }]);
+    });
+
+    test('does not let state of one lease leak into the next', async () => {
+        const first = await pool.getBrowser({ isolation: 'page' });
+        const firstPage = first.page;
+        pool.releaseBrowser(first.id);
+
+        const second = await pool.getBrowser({ isolation: 'page' });
+
+        expect(firstPage.closed).toBe(true);
+        expect(second.page).toBe(openedPages[1]);
+        expect(second.page).not.toBe(firstPage);
+
+        expect(firstPage.listenerCount('error')).toBe(0);
+        expect(second.page.listenerCount('error')).toBe(1);
+    });
+
+    test('shared leases use the instance page', async () => {
+        const leased = await pool.getBrowser({ isolation: 'shared' });
+
+        expect(leased.page).toBe(leased.basePage);
+        expect(openedPages).toHaveLength(0);
+
+        pool.releaseBrowser(leased.id);
+        expect(instance.basePage.listenerCount('error')).toBe(1);
+    });
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DouyinDownloaderServer } = require('../src/server');
+const { CookieStore } = require('../src/cookieStore');
+
+describe('cookie management routes', () => {
+    let rootDir;
+    let server;
+    let baseUrl;
+    const headers = { Authorization: 'Bearer secret' };
+
+    beforeEach(async () => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-cookie-routes-'));
+        const cookieStore = new CookieStore({ dir: path.join(rootDir, 'accounts') });
+        const app = new DouyinDownloaderServer({ adminToken: 'secret', cookieStore }).app;
+        server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}/api/cookies`;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('rejects requests without a valid token', async () => {
+        const response = await fetch(baseUrl, { headers: { Authorization: 'Bearer wrong' } });
+        expect(response.status).toBe(401);
+    });
+
+    test('returns 400 for malformed JSON uploaded as text', async () => {
+        const response = await fetch(`${baseUrl}/acc`, {
+            method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'text/plain' },
+            body: '{oops'
+        });
+        expect(response.status).toBe(400);
+        expect((await response.json()).message).toContain('无效的cookies格式');
+    });
+
+    test('returns 400 for account names outside the accounts directory', async () => {
+        fs.writeFileSync(path.join(rootDir, 'secret.json'), JSON.stringify({ cookies: [] }));
+
+        const upload = await fetch(`${baseUrl}/..%2Fsecret`, {
+            method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'text/plain' },
+            body: 'sessionid=1'
+        });
+        const validate = await fetch(`${baseUrl}/..%2Fsecret%2Fx/validate`, { method: 'POST', headers });
+
+        expect(upload.status).toBe(400);
+        expect(validate.status).toBe(400);
+        expect(fs.readdirSync(path.join(rootDir, 'accounts'))).toEqual([]);
+    });
+
+    test('uploads, lists with masked values and deletes an account', async () => {
+        const upload = await fetch(`${baseUrl}/acc`, {
+            method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ cookies: 'sessionid=abcdef123' })
+        });
+        expect(upload.status).toBe(201);
+
+        const list = await (await fetch(baseUrl, { headers })).json();
+        expect(list.data[0].cookies[0].value).toBe('abcd****');
+
+        expect((await fetch(`${baseUrl}/acc`, { method: 'DELETE', headers })).status).toBe(200);
+        expect((await fetch(`${baseUrl}/acc`, { method: 'DELETE', headers })).status).toBe(404);
+    });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CookieStore, parseCookies } = require('../src/cookieStore');
+
+describe('parseCookies', () => {
+    test('parses Netscape cookies.txt including #HttpOnly_ lines', () => {
+        const content = [
+            '# Netscape HTTP Cookie File',
+            '.douyin.com\tTRUE\t/\tTRUE\t2000000000\tsessionid\tabc',
+            '#HttpOnly_.douyin.com\tTRUE\t/\tFALSE\t0\tttwid\tx=1'
+        ].join('\n');
+
+        expect(parseCookies(content)).toEqual([
+            { name: 'sessionid', value: 'abc', domain: '.douyin.com', path: '/', expires: 2000000000, httpOnly: false, secure: true },
+            { name: 'ttwid', value: 'x=1', domain: '.douyin.com', path: '/', expires: -1, httpOnly: true, secure: false }
+        ]);
+    });
+
+    test('parses browser extension JSON with expirationDate and sameSite', () => {
+        const content = JSON.stringify([
+            { domain: '.douyin.com', name: 'a', value: '1', expirationDate: 2000000000.5, sameSite: 'no_restriction', httpOnly: true }
+        ]);
+
+        expect(parseCookies(content)).toEqual([
+            { name: 'a', value: '1', domain: '.douyin.com', path: '/', expires: 2000000000, httpOnly: true, secure: false, sameSite: 'None' }
+        ]);
+    });
+
+    test('parses puppeteer cookies wrapped in { cookies }', () => {
+        const cookies = parseCookies({ cookies: [{ name: 'b', value: '2', domain: 'www.douyin.com', expires: -1 }] });
+        expect(cookies).toHaveLength(1);
+        expect(cookies[0]).toMatchObject({ name: 'b', value: '2', domain: 'www.douyin.com', expires: -1 });
+    });
+
+    test('parses a Cookie header string', () => {
+        expect(parseCookies('sessionid=1; ttwid=a=b').map(cookie => [cookie.name, cookie.value, cookie.domain])).toEqual([
+            ['sessionid', '1', '.douyin.com'],
+            ['ttwid', 'a=b', '.douyin.com']
+        ]);
+    });
+
+    test('rejects malformed JSON with status 400', () => {
+        expect(() => parseCookies('{oops')).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('无效的cookies格式') }));
+    });
+
+    test('rejects unrecognized content with status 400', () => {
+        expect(() => parseCookies('{"x":1}')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('CookieStore', () => {
+    let rootDir;
+    let store;
+
+    beforeEach(() => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-cookies-'));
+        store = new CookieStore({ dir: path.join(rootDir, 'accounts'), maxFailures: 2, cooldown: 60000 });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    test('rejects account names that escape the accounts directory on every entry point', async () => {
+        fs.writeFileSync(path.join(rootDir, 'secret.json'), JSON.stringify({ name: 'other', cookies: [{ name: 'sessionid', value: 'leak', domain: '.douyin.com' }] }));
+        const name = '../secret';
+
+        for (const call of [
+            () => store.getCookies(name),
+            () => store.getCookieString(name),
+            () => store.getAccount(name),
+            () => store.deleteAccount(name),
+            () => store.reportFailure(name),
+            () => store.importCookies(name, 'a=1')
+        ]) {
+            expect(call).toThrow(expect.objectContaining({ status: 400 }));
+        }
+        await expect(store.validateAccount(name)).rejects.toMatchObject({ status: 400 });
+        expect(fs.readdirSync(path.join(rootDir, 'accounts'))).toEqual([]);
+    });
+
+    test('uses the file name as the account name', () => {
+        fs.writeFileSync(path.join(rootDir, 'accounts', 'acc.json'), JSON.stringify({ name: '../elsewhere', cookies: [] }));
+        store.reportFailure('acc');
+
+        expect(store.getAccount('acc').name).toBe('acc');
+        expect(fs.readdirSync(path.join(rootDir, 'accounts')).sort()).toEqual(['acc.json']);
+    });
+
+    test('picks the least used account and cools down an account after repeated failures', () => {
+        store.importCookies('a1', 'sessionid=1');
+        store.importCookies('a2', 'sessionid=2');
+
+        expect(store.pickAccount({ usage: { a1: 1 } })).toBe('a2');
+        expect(store.pickAccount({ exclude: ['a2'] })).toBe('a1');
+
+        expect(store.reportFailure('a1')).toBe(false);
+        expect(store.reportFailure('a1')).toBe(true);
+        expect(store.getAccount('a1').coolingDown).toBe(true);
+        expect(store.pickAccount({ usage: { a2: 5 } })).toBe('a2');
+    });
+});
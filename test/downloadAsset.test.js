@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createDownloader } = require('./helpers/createDownloader');
+
+describe('DouyinDownloader._downloadAsset', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let tempDir;
+
+    beforeEach(async () => {
+        requests = 0;
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-asset-'));
+        server = http.createServer((req, res) => {
+            requests++;
+            res.writeHead(200, { 'Content-Length': 10000 });
+            if (req.url === '/reset' || (req.url === '/flaky' && requests === 1)) {
+                // 只发送部分数据后断开连接
+                res.write(Buffer.alloc(3000, 1));
+                setTimeout(() => res.socket.destroy(), 20);
+                return;
+            }
+            res.end(Buffer.alloc(10000, 1));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('retries after the connection is reset mid-stream and keeps only the complete file', async () => {
+        const downloader = createDownloader(tempDir);
+        const targetPath = path.join(tempDir, 'cover.jpg');
+
+        await expect(downloader._downloadAsset(`${baseUrl}/flaky`, targetPath, 'cover')).resolves.toBe(targetPath);
+
+        expect(requests).toBe(2);
+        expect(fs.statSync(targetPath).size).toBe(10000);
+        expect(fs.existsSync(`${targetPath}.part`)).toBe(false);
+        expect(downloader.browserPool.released).toBe(downloader.browserPool.leased);
+    });
+
+    test('fails without leaving a truncated file when every attempt is reset', async () => {
+        const downloader = createDownloader(tempDir);
+        const targetPath = path.join(tempDir, 'music.mp3');
+
+        await expect(downloader._downloadAsset(`${baseUrl}/reset`, targetPath, 'music')).rejects.toThrow('failed after 2 attempts');
+
+        expect(fs.existsSync(targetPath)).toBe(false);
+        expect(downloader.browserPool.leased).toBe(2);
+        expect(downloader.browserPool.released).toBe(2);
+    });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createDownloader } = require('./helpers/createDownloader');
+
+/**
+ * 生成一个MP4 box
+ */
+function box(type, payloadSize) {
+    const buffer = Buffer.alloc(8 + payloadSize);
+    buffer.writeUInt32BE(8 + payloadSize, 0);
+    buffer.write(type, 4, 'latin1');
+    return buffer;
+}
+
+// 结构完整的视频文件内容
+const VIDEO = Buffer.concat([box('ftyp', 16), box('mdat', 1000), box('moov', 20)]);
+
+describe('DouyinDownloader.downloadFile', () => {
+    let server;
+    let baseUrl;
+    let handler;
+    let tempDir;
+    let downloader;
+
+    beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-video-'));
+        server = http.createServer((req, res) => handler(req, res));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        downloader = createDownloader(tempDir);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('keeps an existing file that fails verification until the replacement is downloaded', async () => {
+        const targetPath = path.join(tempDir, 'video.mp4');
+        fs.writeFileSync(targetPath, 'old video');
+
+        handler = (req, res) => {
+            res.writeHead(500);
+            res.end();
+        };
+        await expect(downloader.downloadFile(`${baseUrl}/video.mp4`, 'video', { expectedSize: VIDEO.length }))
+            .rejects.toThrow('failed after 2 attempts');
+        expect(fs.readFileSync(targetPath, 'utf8')).toBe('old video');
+
+        handler = (req, res) => {
+            res.writeHead(200, { 'Content-Length': VIDEO.length });
+            res.end(VIDEO);
+        };
+        await expect(downloader.downloadFile(`${baseUrl}/video.mp4`, 'video', { expectedSize: VIDEO.length }))
+            .resolves.toBe(targetPath);
+        expect(fs.readFileSync(targetPath)).toEqual(VIDEO);
+        expect(fs.existsSync(`${targetPath}.part`)).toBe(false);
+    });
+
+    /**
+     * 按Range请求头返回视频内容的处理函数，记录每次请求的Range
+     */
+    function serveRanges(ranges) {
+        return (req, res) => {
+            ranges.push(req.headers.range || null);
+            const match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+            const start = match ? parseInt(match[1], 10) : 0;
+            if (start >= VIDEO.length) {
+                res.writeHead(416, { 'Content-Range': `bytes */${VIDEO.length}` });
+                res.end();
+                return;
+            }
+            if (start > 0) {
+                res.writeHead(206, {
+                    'Content-Length': VIDEO.length - start,
+                    'Content-Range': `bytes ${start}-${VIDEO.length - 1}/${VIDEO.length}`
+                });
+                res.end(VIDEO.subarray(start));
+                return;
+            }
+            res.writeHead(200, { 'Content-Length': VIDEO.length });
+            res.end(VIDEO);
+        };
+    }
+
+    test('downloads to a .part file and renames it to the final file', async () => {
+        const ranges = [];
+        handler = serveRanges(ranges);
+        const targetPath = path.join(tempDir, 'video.mp4');
+
+        await expect(downloader.downloadFile(`${baseUrl}/video.mp4`, 'video', { expectedSize: VIDEO.length }))
+            .resolves.toBe(targetPath);
+
+        expect(ranges).toEqual([null]);
+        expect(fs.readFileSync(targetPath)).toEqual(VIDEO);
+        expect(fs.existsSync(`${targetPath}.part`)).toBe(false);
+    });
+
+    test('resumes a partial .part file with a Range request answered by 206', async () => {
+        const ranges = [];
+        handler = serveRanges(ranges);
+        const targetPath = path.join(tempDir, 'video.mp4');
+        fs.writeFileSync(`${targetPath}.part`, VIDEO.subarray(0, 300));
+
+        await downloader.downloadFile(`${baseUrl}/video.mp4`, 'video', { expectedSize: VIDEO.length });
+
+        expect(ranges).toEqual(['bytes=300-']);
+        expect(fs.readFileSync(targetPath)).toEqual(VIDEO);
+        expect(fs.existsSync(`${targetPath}.part`)).toBe(false);
+    });
+
+    test('resumes after the connection is reset mid-stream', async () => {
+        const ranges = [];
+        const serve = serveRanges(ranges);
+        handler = (req, res) => {
+            if (ranges.length === 0) {
+                ranges.push(req.headers.range || null);
+                res.writeHead(200, { 'Content-Length': VIDEO.length });
+                res.write(VIDEO.subarray(0, 500));
+                setTimeout(() => res.socket.destroy(), 20);
+                return;
+            }
+            serve(req, res);
+        };
+        const targetPath = path.join(tempDir, 'video.mp4');
+
+        await downloader.downloadFile(`${baseUrl}/video.mp4`, 'video', { expectedSize: VIDEO.length });
+
+        expect(ranges).toEqual([null, 'bytes=500-']);
+        expect(fs.readFileSync(targetPath)).toEqual(VIDEO);
+    });
+
+    test('treats 416 on a complete .part file as finished', async () => {
+        const ranges = [];
+        handler = serveRanges(ranges);
+        const targetPath = path.join(tempDir, 'video.mp4');
+        fs.writeFileSync(`${targetPath}.part`, VIDEO);
+
+        await expect(downloader.downloadFile(`${baseUrl}/video.mp4`, 'video', { expectedSize: VIDEO.length }))
+            .resolves.toBe(targetPath);
+
+        expect(ranges).toEqual([`bytes=${VIDEO.length}-`]);
+        expect(fs.readFileSync(targetPath)).toEqual(VIDEO);
+        expect(fs.existsSync(`${targetPath}.part`)).toBe(false);
+    });
+
+    test('restarts from zero when the server ignores Range and answers 200', async () => {
+        const ranges = [];
+        handler = (req, res) => {
+            ranges.push(req.headers.range || null);
+            res.writeHead(200, { 'Content-Length': VIDEO.length });
+            res.end(VIDEO);
+        };
+        const targetPath = path.join(tempDir, 'video.mp4');
+        fs.writeFileSync(`${targetPath}.part`, Buffer.alloc(300, 7));
+
+        await downloader.downloadFile(`${baseUrl}/video.mp4`, 'video', { expectedSize: VIDEO.length });
+
+        expect(ranges).toEqual(['bytes=300-']);
+        expect(fs.readFileSync(targetPath)).toEqual(VIDEO);
+    });
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDownloader } = require('./helpers/createDownloader');
+
+function writeFile(filePath, content = '') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+}
+
+describe('DouyinDownloader._resolveFilename', () => {
+    let tempDir;
+    let downloader;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-names-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        downloader = createDownloader(tempDir);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('reserves a name until it is released', () => {
+        const first = downloader._resolveFilename({ videoId: '1', title: '同名' }, '{title}');
+        const second = downloader._resolveFilename({ videoId: '2', title: '同名' }, '{title}');
+        expect(first.name).toBe('同名');
+        expect(second.name).toBe('同名_2');
+
+        downloader._releaseFilename(first.subdir, first.name);
+        const third = downloader._resolveFilename({ videoId: '3', title: '同名' }, '{title}');
+        expect(third.name).toBe('同名');
+    });
+
+    test('a video avoids names whose cover or music belongs to a note', () => {
+        writeFile(path.join(tempDir, 'covers', '同名_cover.jpg'));
+        expect(downloader._resolveFilename({ videoId: '1', title: '同名' }, '{title}').name).toBe('同名_2');
+
+        writeFile(path.join(tempDir, 'music', '同名_2.m4a'));
+        expect(downloader._resolveFilename({ videoId: '2', title: '同名' }, '{title}').name).toBe('同名_3');
+    });
+
+    test('a video avoids names used by another aweme\'s note sidecar', () => {
+        writeFile(path.join(tempDir, 'images', '同名', 'metadata.json'), JSON.stringify({ awemeId: 'note' }));
+        expect(downloader._resolveFilename({ videoId: 'video', title: '同名' }, '{title}').name).toBe('同名_2');
+    });
+
+    test('reuses names whose files belong to the same aweme', () => {
+        writeFile(path.join(tempDir, '同名.json'), JSON.stringify({ awemeId: '1' }));
+        writeFile(path.join(tempDir, '同名.mp4'));
+        writeFile(path.join(tempDir, 'covers', '同名_cover.jpg'));
+        expect(downloader._resolveFilename({ videoId: '1', title: '同名' }, '{title}').name).toBe('同名');
+    });
+});
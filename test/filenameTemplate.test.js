@@ -0,0 +1,64 @@
+const { renderFilename, validateTemplate, sanitizeSegment } = require('../src/filenameTemplate');
+
+const videoInfo = {
+    videoId: '7300000000000000001',
+    type: 'video',
+    title: '今天的晚霞 #日落 #风景',
+    author: '作者/昵称',
+    metadata: {
+        createTime: Date.UTC(2024, 0, 2, 3, 4, 5) / 1000,
+        author: { uid: '42', secUid: 'MS4wLjABAAAAabc' }
+    }
+};
+
+describe('renderFilename', () => {
+    test('uses the title without hashtags by default', () => {
+        expect(renderFilename(undefined, videoInfo)).toEqual({ subdir: '', name: '今天的晚霞' });
+    });
+
+    test('splits directories and keeps "/" in field values inside one segment', () => {
+        expect(renderFilename('{author}/{aweme_id}_{title:2}', videoInfo)).toEqual({
+            subdir: '作者_昵称',
+            name: '7300000000000000001_今天'
+        });
+    });
+
+    test('cannot escape the downloads directory', () => {
+        const result = renderFilename('../{author}/../{aweme_id}', { ...videoInfo, author: '..' });
+        expect(result.subdir.split('/')).not.toContain('..');
+        expect(result.name).toBe('7300000000000000001');
+    });
+
+    test('formats create_date and create_time in UTC+8 regardless of the host timezone', () => {
+        // UTC 2024-01-01 20:00:05 为北京时间 2024-01-02 04:00:05
+        const info = { ...videoInfo, metadata: { createTime: Date.UTC(2024, 0, 1, 20, 0, 5) / 1000 } };
+        expect(renderFilename('{create_date}/{create_time}', info)).toEqual({ subdir: '2024-01-02', name: '20240102_040005' });
+    });
+
+    test('falls back to the aweme id when the name is empty', () => {
+        expect(renderFilename('{title}', { ...videoInfo, title: '#只有话题' })).toEqual({ subdir: '', name: '7300000000000000001' });
+    });
+});
+
+describe('sanitizeSegment', () => {
+    test('removes illegal characters, emoji and surrounding dots', () => {
+        expect(sanitizeSegment(' ..a:b*c?😀  d.. ')).toBe('a_b_c_ d');
+    });
+
+    test('truncates to 200 bytes without splitting characters', () => {
+        const result = sanitizeSegment('晚'.repeat(100));
+        expect(Buffer.byteLength(result)).toBeLessThanOrEqual(200);
+        expect(result).toBe('晚'.repeat(66));
+    });
+});
+
+describe('validateTemplate', () => {
+    test('accepts known fields', () => {
+        expect(() => validateTemplate('{author}/{create_date}_{aweme_id}_{title:40}')).not.toThrow();
+    });
+
+    test('rejects empty templates and unknown fields with 400', () => {
+        expect(() => validateTemplate('  ')).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => validateTemplate('{nickname}')).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining('nickname') }));
+    });
+});
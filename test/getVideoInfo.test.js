@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/fetchDouyinDetail', () => ({ fetchDouyinDetail: jest.fn() }));
+
+const { fetchDouyinDetail } = require('../src/fetchDouyinDetail');
+const { CookieStore } = require('../src/cookieStore');
+const { createDownloader } = require('./helpers/createDownloader');
+
+const VIDEO_URL = 'https://www.douyin.com/video/7300000000000000001';
+const VIDEO_ID = '7300000000000000001';
+
+describe('DouyinDownloader.getVideoInfo', () => {
+    let tempDir;
+    let cookieStore;
+    let downloader;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-info-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        cookieStore = new CookieStore({ dir: path.join(tempDir, 'cookies') });
+        cookieStore.importCookies('first', 'sessionid=first');
+
+        downloader = createDownloader(tempDir, { cookieStore });
+        downloader._buildVideoInfo = (awemeDetail, videoId, source) => ({ videoId, type: 'video', title: awemeDetail.desc, source });
+        downloader._getVideoInfoByBrowser = jest.fn(async (videoUrl, link) => ({ videoId: link.id, type: 'video', title: 'browser', source: 'browser' }));
+        fetchDouyinDetail.mockResolvedValue({ status_code: 0, aweme_detail: { aweme_id: VIDEO_ID, desc: 'http' } });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fetchDouyinDetail.mockReset();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('uses the HTTP path without opening a browser', async () => {
+        const videoInfo = await downloader.getVideoInfo(VIDEO_URL);
+
+        expect(videoInfo).toMatchObject({ videoId: VIDEO_ID, title: 'http', source: 'http' });
+        expect(fetchDouyinDetail).toHaveBeenCalledWith(VIDEO_ID, 'sessionid=first');
+        expect(downloader._getVideoInfoByBrowser).not.toHaveBeenCalled();
+    });
+
+    test('falls back to the browser when the HTTP request fails', async () => {
+        fetchDouyinDetail.mockRejectedValue(new Error('接口返回异常: ""'));
+        const signal = new AbortController().signal;
+
+        const videoInfo = await downloader.getVideoInfo(VIDEO_URL, { priority: 'bulk', signal });
+
+        expect(videoInfo).toMatchObject({ videoId: VIDEO_ID, source: 'browser' });
+        expect(downloader._getVideoInfoByBrowser).toHaveBeenCalledWith(
+            VIDEO_URL,
+            expect.objectContaining({ type: 'video', id: VIDEO_ID }),
+            { priority: 'bulk', signal }
+        );
+    });
+
+    test('falls back to the browser when no account has cookies', async () => {
+        cookieStore.deleteAccount('first');
+
+        const videoInfo = await downloader.getVideoInfo(VIDEO_URL);
+
+        expect(videoInfo.source).toBe('browser');
+        expect(fetchDouyinDetail).not.toHaveBeenCalled();
+    });
+
+    test('does not fall back with the http strategy', async () => {
+        fetchDouyinDetail.mockRejectedValue(new Error('接口返回异常: ""'));
+
+        await expect(downloader.getVideoInfo(VIDEO_URL, { strategy: 'http' })).rejects.toThrow('接口返回异常');
+        expect(downloader._getVideoInfoByBrowser).not.toHaveBeenCalled();
+    });
+
+    test('skips the HTTP path with the browser strategy', async () => {
+        const videoInfo = await downloader.getVideoInfo(VIDEO_URL, { strategy: 'browser' });
+
+        expect(videoInfo.source).toBe('browser');
+        expect(fetchDouyinDetail).not.toHaveBeenCalled();
+    });
+
+    test('reports cache as the source of cached video info', async () => {
+        await downloader.getVideoInfo(VIDEO_URL);
+        const cached = await downloader.getVideoInfo(VIDEO_URL);
+
+        expect(cached).toMatchObject({ videoId: VIDEO_ID, title: 'http', source: 'cache', urlsExpired: false });
+        expect(fetchDouyinDetail).toHaveBeenCalledTimes(1);
+
+        const refreshed = await downloader.getVideoInfo(VIDEO_URL, { cache: 'refresh' });
+        expect(refreshed.source).toBe('http');
+        expect(fetchDouyinDetail).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,41 @@
+const path = require('path');
+const { DouyinDownloader } = require('../../src/index');
+const { LibraryIndex } = require('../../src/libraryIndex');
+
+/**
+ * 创建不启动浏览器的浏览器池，只提供空cookies并记录获取和释放的次数
+ * @returns {Object} - 浏览器池
+ */
+function createFakeBrowserPool() {
+    return {
+        leased: 0,
+        released: 0,
+        async getBrowser() {
+            this.leased++;
+            return { id: 'test', page: { cookies: async () => [] } };
+        },
+        releaseBrowser() {
+            this.released++;
+        }
+    };
+}
+
+/**
+ * 创建测试用的下载器：不启动浏览器，下载目录和作品索引都放在临时目录中，重试间隔很短
+ * @param {string} tempDir - 临时目录
+ * @param {Object} [options] - 传给 DouyinDownloader 的其他配置选项
+ * @returns {DouyinDownloader} - 下载器
+ */
+function createDownloader(tempDir, options = {}) {
+    return new DouyinDownloader({
+        browserPool: createFakeBrowserPool(),
+        downloadsDir: tempDir,
+        library: new LibraryIndex({ filePath: path.join(tempDir, 'library.json') }),
+        filenameTemplate: '{title}',
+        maxRetries: 2,
+        retryDelay: 10,
+        ...options
+    });
+}
+
+module.exports = { createDownloader, createFakeBrowserPool };
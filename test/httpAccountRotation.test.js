@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../src/fetchDouyinDetail', () => ({ fetchDouyinDetail: jest.fn() }));
+
+const { fetchDouyinDetail } = require('../src/fetchDouyinDetail');
+const { CookieStore } = require('../src/cookieStore');
+const { createDownloader } = require('./helpers/createDownloader');
+
+describe('DouyinDownloader._getVideoInfoByHttp', () => {
+    let tempDir;
+    let cookieStore;
+    let downloader;
+    let usedCookies;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-http-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        cookieStore = new CookieStore({ dir: path.join(tempDir, 'cookies'), maxFailures: 1 });
+        cookieStore.importCookies('first', 'sessionid=first');
+        cookieStore.importCookies('second', 'sessionid=second');
+
+        downloader = createDownloader(tempDir, { cookieStore });
+        downloader._buildVideoInfo = (awemeDetail, videoId) => {
+            if (!awemeDetail) {
+                throw new Error('empty aweme_detail');
+            }
+            return { videoId };
+        };
+
+        usedCookies = [];
+        fetchDouyinDetail.mockImplementation(async (videoId, cookie) => {
+            usedCookies.push(cookie);
+            return { status_code: 0, aweme_detail: cookie.includes('second') ? null : { aweme_id: videoId } };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('rotates accounts and cools down accounts whose cookies return no detail', async () => {
+        await downloader._getVideoInfoByHttp('1');
+        await expect(downloader._getVideoInfoByHttp('2')).rejects.toThrow('empty aweme_detail');
+        await downloader._getVideoInfoByHttp('3');
+        await downloader._getVideoInfoByHttp('4');
+
+        expect(usedCookies).toEqual(['sessionid=first', 'sessionid=second', 'sessionid=first', 'sessionid=first']);
+        expect(cookieStore.getAccount('second').disabledUntil).toBeGreaterThan(Date.now());
+    });
+
+    test('does not count request errors against the account', async () => {
+        fetchDouyinDetail.mockRejectedValue(new Error('接口返回异常: ""'));
+
+        await expect(downloader._getVideoInfoByHttp('1')).rejects.toThrow('接口返回异常');
+
+        expect(cookieStore.getAccount('first').failures).toBe(0);
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DownloadJobQueue, JOB_STATES } = require('../src/jobQueue');
+const { JobStore } = require('../src/jobStore');
+
+/**
+ * 创建只执行 download 的下载器，浏览器池大小决定任务并发数
+ */
+function createDownloader(download) {
+    return {
+        browserPool: { maxPoolSize: 1, maxQueueSize: 10 },
+        download: jest.fn(download)
+    };
+}
+
+/**
+ * 等待所有排队和执行中的任务结束
+ */
+async function settle(queue) {
+    while (queue.running > 0 || queue.pending.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('DownloadJobQueue', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-queue-'));
+        filePath = path.join(tempDir, 'jobs.json');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function readJobs() {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    test('moves a job through queued, resolving, downloading and done, persisting each state', async () => {
+        const store = new JobStore({ filePath, flushDelay: 60000 });
+        const persistedStates = [];
+        const save = store.save.bind(store);
+        jest.spyOn(store, 'save').mockImplementation((job) => {
+            save(job);
+            persistedStates.push(readJobs()[job.id].state);
+        });
+        const queue = new DownloadJobQueue(createDownloader(async (videoUrl, options) => {
+            options.onStage('downloading');
+            return { videoPath: '/tmp/video.mp4' };
+        }), { store });
+
+        const job = queue.submit('https://www.douyin.com/video/1', { quality: '720p' });
+        await settle(queue);
+
+        expect(persistedStates).toEqual([JOB_STATES.QUEUED, JOB_STATES.RESOLVING, JOB_STATES.DOWNLOADING, JOB_STATES.DONE]);
+        expect(queue.getJob(job.id)).toMatchObject({ state: JOB_STATES.DONE, result: { videoPath: '/tmp/video.mp4' }, error: null });
+        expect(queue.getJob(job.id).finishedAt).toEqual(expect.any(Number));
+        expect(queue.downloader.download).toHaveBeenCalledWith('https://www.douyin.com/video/1', expect.objectContaining({ priority: 'bulk', quality: '720p' }));
+    });
+
+    test('marks a job as failed with the error message', async () => {
+        const store = new JobStore({ filePath });
+        const queue = new DownloadJobQueue(createDownloader(async () => {
+            throw new Error('视频不存在');
+        }), { store });
+
+        const job = queue.submit('https://www.douyin.com/video/1');
+        await settle(queue);
+
+        expect(queue.getJob(job.id)).toMatchObject({ state: JOB_STATES.FAILED, error: '视频不存在', result: null });
+        expect(readJobs()[job.id].state).toBe(JOB_STATES.FAILED);
+    });
+
+    test('reports download progress and batches its writes', async () => {
+        const store = new JobStore({ filePath, flushDelay: 60000 });
+        let reportProgress;
+        let finish;
+        const queue = new DownloadJobQueue(createDownloader((videoUrl, options) => {
+            options.onStage('downloading');
+            reportProgress = options.onProgress;
+            return new Promise(resolve => {
+                finish = resolve;
+            });
+        }), { store });
+
+        const job = queue.submit('https://www.douyin.com/video/1');
+        reportProgress(100, 1000);
+        reportProgress(500, NaN);
+
+        expect(queue.getJob(job.id).progress).toEqual({ downloadedBytes: 500, totalBytes: null });
+        expect(readJobs()[job.id].progress).toEqual({ downloadedBytes: 0, totalBytes: null });
+
+        store.flush();
+        expect(readJobs()[job.id].progress).toEqual({ downloadedBytes: 500, totalBytes: null });
+
+        finish({});
+        await settle(queue);
+        expect(readJobs()[job.id].state).toBe(JOB_STATES.DONE);
+    });
+
+    test('runs no more jobs at once than the concurrency allows', async () => {
+        const finishers = [];
+        const queue = new DownloadJobQueue(createDownloader(() => new Promise(resolve => finishers.push(resolve))), {
+            store: new JobStore({ filePath })
+        });
+
+        const first = queue.submit('https://www.douyin.com/video/1');
+        const second = queue.submit('https://www.douyin.com/video/2');
+
+        expect(queue.getJob(first.id).state).toBe(JOB_STATES.RESOLVING);
+        expect(queue.getJob(second.id).state).toBe(JOB_STATES.QUEUED);
+
+        finishers[0]({});
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(queue.getJob(second.id).state).toBe(JOB_STATES.RESOLVING);
+
+        finishers[1]({});
+        await settle(queue);
+        expect(queue.listJobs().map(job => job.state)).toEqual([JOB_STATES.DONE, JOB_STATES.DONE]);
+    });
+
+    test('prunes old finished jobs from the queue and the store', async () => {
+        const store = new JobStore({ filePath, maxFinishedJobs: 1 });
+        const queue = new DownloadJobQueue(createDownloader(async () => ({})), { store });
+
+        const first = queue.submit('https://www.douyin.com/video/1');
+        await settle(queue);
+        const second = queue.submit('https://www.douyin.com/video/2');
+        await settle(queue);
+        store.flush();
+
+        expect(queue.getJob(first.id)).toBeNull();
+        expect(queue.getJob(second.id).state).toBe(JOB_STATES.DONE);
+        expect(Object.keys(readJobs())).toEqual([second.id]);
+    });
+
+    test('requeues interrupted jobs on startup', async () => {
+        fs.writeFileSync(filePath, JSON.stringify({
+            interrupted: {
+                id: 'interrupted',
+                videoUrl: 'https://www.douyin.com/video/1',
+                options: {},
+                state: JOB_STATES.DOWNLOADING,
+                progress: { downloadedBytes: 500, totalBytes: 1000 },
+                createdAt: 1,
+                startedAt: 2
+            }
+        }));
+        const downloader = createDownloader(async () => ({}));
+
+        const queue = new DownloadJobQueue(downloader, { store: new JobStore({ filePath }) });
+        await settle(queue);
+
+        expect(downloader.download).toHaveBeenCalledWith('https://www.douyin.com/video/1', expect.any(Object));
+        expect(queue.getJob('interrupted')).toMatchObject({ state: JOB_STATES.DONE, progress: { downloadedBytes: 0, totalBytes: null } });
+    });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobStore } = require('../src/jobStore');
+
+describe('JobStore', () => {
+    let tempDir;
+    let filePath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-jobs-'));
+        filePath = path.join(tempDir, 'jobs.json');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('writes new jobs and state changes immediately', () => {
+        const store = new JobStore({ filePath, flushDelay: 60000 });
+
+        store.save({ id: 'a', state: 'queued' });
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).a.state).toBe('queued');
+
+        store.save({ id: 'a', state: 'done' });
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).a.state).toBe('done');
+    });
+
+    test('coalesces progress updates into a single write', async () => {
+        const store = new JobStore({ filePath, flushDelay: 20 });
+        store.save({ id: 'a', state: 'downloading', progress: { downloadedBytes: 0 } });
+        const writeSpy = jest.spyOn(fs, 'writeFileSync');
+
+        store.saveProgress({ id: 'a', state: 'downloading', progress: { downloadedBytes: 10 } });
+        store.saveProgress({ id: 'a', state: 'downloading', progress: { downloadedBytes: 20 } });
+        expect(writeSpy).not.toHaveBeenCalled();
+
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(writeSpy).toHaveBeenCalledTimes(1);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).a.progress.downloadedBytes).toBe(20);
+    });
+
+    test('flush writes pending progress updates immediately', () => {
+        const store = new JobStore({ filePath, flushDelay: 60000 });
+        store.saveProgress({ id: 'a', state: 'downloading', progress: { downloadedBytes: 10 } });
+        expect(fs.existsSync(filePath)).toBe(false);
+
+        store.flush();
+
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).a.progress.downloadedBytes).toBe(10);
+        expect(store.flushTimer).toBeNull();
+    });
+
+    test('prunes finished jobs beyond the count and age limits', () => {
+        const store = new JobStore({ filePath, maxFinishedJobs: 2, finishedJobTtl: 60000 });
+        const now = Date.now();
+        store.save({ id: 'running', state: 'downloading', finishedAt: null });
+        store.save({ id: 'expired', state: 'done', finishedAt: now - 120000 });
+        store.save({ id: 'old', state: 'failed', finishedAt: now - 3000 });
+        store.save({ id: 'newer', state: 'done', finishedAt: now - 2000 });
+        store.save({ id: 'newest', state: 'done', finishedAt: now - 1000 });
+
+        const removed = store.prune();
+        store.flush();
+
+        expect(removed.sort()).toEqual(['expired', 'old']);
+        expect(store.load().map(job => job.id).sort()).toEqual(['newer', 'newest', 'running']);
+    });
+});
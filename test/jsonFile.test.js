@@ -0,0 +1,53 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('../src/jsonFile');
+
+describe('jsonFile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-json-'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('writes into missing directories and reads the content back', () => {
+        const filePath = path.join(tempDir, 'nested', 'data.json');
+
+        expect(writeJsonFile(filePath, { a: 1 })).toBe(true);
+
+        expect(readJsonFile(filePath, {})).toEqual({ a: 1 });
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('{\n  "a": 1\n}');
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+
+    test('writes compact JSON when requested', () => {
+        const filePath = path.join(tempDir, 'data.json');
+        writeJsonFile(filePath, { a: 1 }, { compact: true });
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('{"a":1}');
+    });
+
+    test('returns the default value for missing or corrupted files', () => {
+        const filePath = path.join(tempDir, 'data.json');
+        expect(readJsonFile(filePath, {})).toEqual({});
+
+        fs.writeFileSync(filePath, '{oops');
+        expect(readJsonFile(filePath, null)).toBeNull();
+    });
+
+    test('keeps the previous file when writing fails', () => {
+        const filePath = path.join(tempDir, 'data.json');
+        writeJsonFile(filePath, { a: 1 });
+        jest.spyOn(fs, 'renameSync').mockImplementation(() => {
+            throw new Error('disk full');
+        });
+
+        expect(writeJsonFile(filePath, { a: 2 })).toBe(false);
+        expect(readJsonFile(filePath, {})).toEqual({ a: 1 });
+    });
+});
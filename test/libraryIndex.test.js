@@ -0,0 +1,52 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LibraryIndex } = require('../src/libraryIndex');
+
+function writeFile(filePath, content = 'data') {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+describe('LibraryIndex.remove', () => {
+    let tempDir;
+    let library;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-library-'));
+        library = new LibraryIndex({ filePath: path.join(tempDir, 'library.json') });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('keeps files that other entries still reference', async () => {
+        const sharedCover = writeFile(path.join(tempDir, 'covers', 'shared_cover.jpg'));
+        const firstVideo = writeFile(path.join(tempDir, 'first.mp4'));
+        const secondVideo = writeFile(path.join(tempDir, 'second.mp4'));
+        await library.record({ videoInfo: { videoId: '1' }, videoPath: firstVideo, coverPath: sharedCover });
+        await library.record({ videoInfo: { videoId: '2' }, videoPath: secondVideo, coverPath: sharedCover });
+
+        const result = library.remove('1');
+
+        expect(result.deletedFiles).toEqual([firstVideo]);
+        expect(fs.existsSync(sharedCover)).toBe(true);
+        expect(library.get('1')).toBeNull();
+        expect(library.isIntact(library.get('2'))).toBe(true);
+    });
+
+    test('keeps the paths passed in options.keep', async () => {
+        const video = writeFile(path.join(tempDir, 'video.mp4'));
+        const oldCover = writeFile(path.join(tempDir, 'covers', 'old_cover.jpg'));
+        await library.record({ videoInfo: { videoId: '1' }, videoPath: video, coverPath: oldCover });
+
+        const result = library.remove('1', { keep: [video] });
+
+        expect(result.deletedFiles).toEqual([oldCover]);
+        expect(fs.existsSync(video)).toBe(true);
+    });
+});
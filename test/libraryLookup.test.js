@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDownloader } = require('./helpers/createDownloader');
+
+describe('DouyinDownloader.download library lookup', () => {
+    let tempDir;
+    let downloader;
+
+    beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-lookup-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        downloader = createDownloader(tempDir);
+        downloader.getVideoInfo = jest.fn(async () => {
+            throw new Error('getVideoInfo should not be called');
+        });
+
+        const videoPath = path.join(tempDir, '作品.mp4');
+        fs.writeFileSync(videoPath, 'video');
+        await downloader.library.record({
+            videoInfo: { videoId: '7300000000000000001', type: 'video', title: '作品', metadata: { awemeId: '7300000000000000001' } },
+            videoPath
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('returns archived items without fetching video info', async () => {
+        const result = await downloader.download('看看这个 https://www.douyin.com/video/7300000000000000001 复制此链接');
+
+        expect(downloader.getVideoInfo).not.toHaveBeenCalled();
+        expect(result.fromLibrary).toBe(true);
+        expect(result.videoInfo).toMatchObject({ videoId: '7300000000000000001', title: '作品', source: 'library' });
+    });
+
+    test('fetches video info when the archived item lacks requested music', async () => {
+        await expect(downloader.download('https://www.douyin.com/video/7300000000000000001', { music: true }))
+            .rejects.toThrow('getVideoInfo should not be called');
+        expect(downloader.getVideoInfo).toHaveBeenCalledWith('https://www.douyin.com/video/7300000000000000001', expect.any(Object));
+    });
+
+    test('fetches video info when the archived item has another quality', async () => {
+        await expect(downloader.download('https://www.douyin.com/video/7300000000000000001', { quality: '720p' }))
+            .rejects.toThrow('getVideoInfo should not be called');
+        expect(downloader.getVideoInfo).toHaveBeenCalledTimes(1);
+    });
+
+    test('overwrites an archived item of another quality and records the new quality', async () => {
+        const videoPath = path.join(tempDir, '作品.mp4');
+        fs.writeFileSync(path.join(tempDir, '作品.json'), JSON.stringify({ awemeId: '7300000000000000001' }));
+        downloader.getVideoInfo = jest.fn(async () => ({
+            videoId: '7300000000000000001',
+            type: 'video',
+            title: '作品',
+            videoUrl: 'https://example.com/video.mp4',
+            metadata: { awemeId: '7300000000000000001' }
+        }));
+        downloader.downloadFile = jest.fn(async () => {
+            fs.writeFileSync(videoPath, 'video 720p');
+            return videoPath;
+        });
+
+        const result = await downloader.download('https://www.douyin.com/video/7300000000000000001', { quality: '720p' });
+
+        expect(downloader.downloadFile).toHaveBeenCalledWith(expect.any(String), '作品', expect.objectContaining({ overwrite: true, quality: '720p' }));
+        expect(result).toMatchObject({ fromLibrary: false, quality: '720p', videoPath });
+        expect(downloader.library.get('7300000000000000001').quality).toBe('720p');
+
+        const again = await downloader.download('https://www.douyin.com/video/7300000000000000001', { quality: '720p' });
+        expect(again.fromLibrary).toBe(true);
+        expect(downloader.getVideoInfo).toHaveBeenCalledTimes(1);
+    });
+});
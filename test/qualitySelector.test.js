@@ -0,0 +1,54 @@
+const { parseQuality, selectVariant } = require('../src/qualitySelector');
+
+describe('parseQuality', () => {
+    test('parses combined preference strings', () => {
+        expect(parseQuality('720p,h264')).toEqual({ prefer: 'highest', resolution: 720, codec: 'h264' });
+        expect(parseQuality('LOWEST h265')).toEqual({ prefer: 'lowest', resolution: null, codec: 'h265' });
+        expect(parseQuality('')).toBeNull();
+    });
+
+    test('rejects unknown tokens with status 400', () => {
+        expect(() => parseQuality('best')).toThrow(expect.objectContaining({ status: 400 }));
+    });
+
+    test('validates object input and fills defaults', () => {
+        expect(parseQuality({ resolution: 1080 })).toEqual({ prefer: 'highest', resolution: 1080, codec: null });
+        expect(() => parseQuality({ prefer: 'best' })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => parseQuality({ resolution: '720p' })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => parseQuality({ resolution: -1 })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => parseQuality({ codec: 'av1' })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => parseQuality({ maxHeight: 720 })).toThrow(expect.objectContaining({ status: 400 }));
+        expect(() => parseQuality(['highest'])).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('selectVariant', () => {
+    const variants = [
+        { gearName: '540', width: 576, height: 1024, bitRate: 800, codec: 'h264', url: 'https://cdn/540' },
+        { gearName: '720-h265', width: 720, height: 1280, bitRate: 1000, codec: 'h265', url: 'https://cdn/720-h265' },
+        { gearName: '720-h264', width: 720, height: 1280, bitRate: 1500, codec: 'h264', url: 'https://cdn/720-h264' },
+        { gearName: '1080', width: 1080, height: 1920, bitRate: 3000, codec: 'h265', url: 'https://cdn/1080' },
+        { gearName: 'no-url', width: 2160, height: 3840, bitRate: 9000, codec: 'h265', url: null }
+    ];
+
+    test('picks the highest or lowest variant with a URL', () => {
+        expect(selectVariant(variants, 'highest').gearName).toBe('1080');
+        expect(selectVariant(variants, 'lowest').gearName).toBe('540');
+    });
+
+    test('picks the best variant within the resolution limit by short side', () => {
+        expect(selectVariant(variants, '720p').gearName).toBe('720-h264');
+        expect(selectVariant(variants, '480p').gearName).toBe('540');
+    });
+
+    test('prefers the requested codec but falls back to others', () => {
+        expect(selectVariant(variants, '720p,h265').gearName).toBe('720-h265');
+        expect(selectVariant(variants.filter(variant => variant.codec === 'h264'), 'h265').gearName).toBe('720-h264');
+    });
+
+    test('returns null without a preference or usable variants', () => {
+        expect(selectVariant(variants, null)).toBeNull();
+        expect(selectVariant([], 'highest')).toBeNull();
+        expect(selectVariant(undefined, 'highest')).toBeNull();
+    });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDownloader } = require('./helpers/createDownloader');
+
+/**
+ * 视频信息由测试提供，不请求接口
+ */
+async function getVideoInfo() {
+    return {
+        videoId: '1',
+        type: 'video',
+        title: '作品',
+        videoUrl: 'https://example.com/video.mp4',
+        metadata: { awemeId: '1' }
+    };
+}
+
+describe('DouyinDownloader.download with force', () => {
+    let tempDir;
+    let downloader;
+    let videoPath;
+
+    beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-redownload-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        downloader = createDownloader(tempDir);
+        downloader.getVideoInfo = getVideoInfo;
+
+        videoPath = path.join(tempDir, '作品.mp4');
+        fs.writeFileSync(videoPath, 'old');
+        await downloader.library.record({ videoInfo: { videoId: '1' }, videoPath });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('keeps the archived files when the new download fails', async () => {
+        downloader.downloadFile = async () => {
+            throw new Error('network down');
+        };
+
+        await expect(downloader.download('https://www.douyin.com/video/1', { force: true })).rejects.toThrow('network down');
+
+        expect(fs.readFileSync(videoPath, 'utf8')).toBe('old');
+        expect(downloader.library.isIntact(downloader.library.get('1'))).toBe(true);
+        expect(downloader.reservedFilenames.size).toBe(0);
+    });
+
+    test('overwrites the archived files and replaces the entry after success', async () => {
+        downloader.downloadFile = async (url, filename, options) => {
+            expect(options.overwrite).toBe(true);
+            fs.writeFileSync(videoPath, 'new');
+            return videoPath;
+        };
+
+        const result = await downloader.download('https://www.douyin.com/video/1', { force: true });
+
+        expect(result.fromLibrary).toBe(false);
+        expect(fs.readFileSync(videoPath, 'utf8')).toBe('new');
+        expect(downloader.library.get('1').size).toBe(3);
+        expect(downloader.library.isIntact(downloader.library.get('1'))).toBe(true);
+    });
+});
@@ -0,0 +1,81 @@
+const axios = require('axios');
+const { extractUrls, parseShareUrl, resolveShareLink, buildCanonicalUrl } = require('../src/shareLinkParser');
+
+describe('extractUrls', () => {
+    test('extracts douyin links in order and strips trailing punctuation', () => {
+        const text = '7.93 复制打开抖音 https://v.douyin.com/iAbCdEf/，看看 https://www.douyin.com/video/123). 还有 https://example.com/x';
+        expect(extractUrls(text)).toEqual(['https://v.douyin.com/iAbCdEf/', 'https://www.douyin.com/video/123']);
+    });
+});
+
+describe('parseShareUrl', () => {
+    test.each([
+        ['https://www.douyin.com/video/7300000000000000001', 'video', '7300000000000000001'],
+        ['https://www.douyin.com/note/7300000000000000002', 'note', '7300000000000000002'],
+        ['https://www.douyin.com/user/MS4wLjABAAAAabc?modal_id=7300000000000000003', 'video', '7300000000000000003'],
+        ['https://www.iesdouyin.com/share/video/7300000000000000004/?region=CN', 'video', '7300000000000000004'],
+        ['https://www.iesdouyin.com/share/slides/7300000000000000005', 'note', '7300000000000000005'],
+        ['https://www.douyin.com/user/MS4wLjABAAAAabc-_d', 'user', 'MS4wLjABAAAAabc-_d'],
+        ['MS4wLjABAAAAxyz', 'user', 'MS4wLjABAAAAxyz'],
+        ['7300000000000000006', 'video', '7300000000000000006'],
+        ['https://www.douyin.com/music/7300000000000000007', 'music', '7300000000000000007']
+    ])('parses %s', (input, type, id) => {
+        expect(parseShareUrl(input)).toEqual({ type, id, url: buildCanonicalUrl(type, id) });
+    });
+
+    test('returns null for links on other hosts', () => {
+        expect(parseShareUrl('https://evil.example/video/123')).toBeNull();
+        expect(parseShareUrl('https://douyin.com.evil.example/video/123')).toBeNull();
+        expect(parseShareUrl('https://notdouyin.com/note/123')).toBeNull();
+    });
+
+    test('accepts douyin subdomains and links without a scheme', () => {
+        expect(parseShareUrl('m.douyin.com/video/123')).toMatchObject({ type: 'video', id: '123' });
+    });
+
+    test('returns null for short links and the self profile', () => {
+        expect(parseShareUrl('https://v.douyin.com/iAbCdEf/')).toBeNull();
+        expect(parseShareUrl('https://www.douyin.com/user/self')).toBeNull();
+    });
+});
+
+describe('resolveShareLink', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('parses full links without requests', async () => {
+        const get = jest.spyOn(axios, 'get');
+
+        await expect(resolveShareLink('看看 https://www.douyin.com/video/1 复制此链接')).resolves.toEqual({
+            type: 'video',
+            id: '1',
+            url: 'https://www.douyin.com/video/1',
+            originalUrl: 'https://www.douyin.com/video/1'
+        });
+        expect(get).not.toHaveBeenCalled();
+    });
+
+    test('follows short link redirects until the target can be parsed', async () => {
+        const redirects = {
+            'https://v.douyin.com/abc/': '/next',
+            'https://v.douyin.com/next': 'https://www.iesdouyin.com/share/note/9/'
+        };
+        jest.spyOn(axios, 'get').mockImplementation(async url => ({ status: 302, headers: { location: redirects[url] } }));
+
+        const link = await resolveShareLink('https://v.douyin.com/abc/');
+
+        expect(link).toEqual({ type: 'note', id: '9', url: 'https://www.douyin.com/note/9', originalUrl: 'https://v.douyin.com/abc/' });
+    });
+
+    test('rejects unrecognized input and other hosts with 400 and failed requests with 502', async () => {
+        const get = jest.spyOn(axios, 'get');
+
+        await expect(resolveShareLink('not a link')).rejects.toMatchObject({ status: 400 });
+        await expect(resolveShareLink('https://evil.example/video/123')).rejects.toMatchObject({ status: 400 });
+        expect(get).not.toHaveBeenCalled();
+
+        get.mockRejectedValue(new Error('timeout'));
+        await expect(resolveShareLink('https://v.douyin.com/abc/')).rejects.toMatchObject({ status: 502 });
+    });
+});
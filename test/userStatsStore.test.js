@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserStatsStore } = require('../src/userStatsStore');
+
+describe('UserStatsStore.getDailyDeltas', () => {
+    let tempDir;
+    let store;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-stats-'));
+        store = new UserStatsStore({ filePath: path.join(tempDir, 'user-stats.jsonl') });
+        jest.spyOn(Date, 'now').mockImplementation(() => new Date('2024-01-03T00:00:00Z').getTime());
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('splits days at midnight Beijing time regardless of the server timezone', () => {
+        // 北京时间 1月1日 11:00、23:59，1月2日 00:01、18:00
+        store.append({ secUid: 'user', followerCount: 100, timestamp: '2024-01-01T03:00:00.000Z' });
+        store.append({ secUid: 'user', followerCount: 110, timestamp: '2024-01-01T15:59:00.000Z' });
+        store.append({ secUid: 'user', followerCount: 115, timestamp: '2024-01-01T16:01:00.000Z' });
+        store.append({ secUid: 'user', followerCount: 130, timestamp: '2024-01-02T10:00:00.000Z' });
+        store.append({ secUid: 'other', followerCount: 1, timestamp: '2024-01-02T11:00:00.000Z' });
+
+        expect(store.getDailyDeltas('user')).toEqual([{
+            date: '2024-01-02',
+            followerCount: 130,
+            followerCountDelta: 20,
+            followingCount: undefined,
+            followingCountDelta: null,
+            totalFavorited: undefined,
+            totalFavoritedDelta: null,
+            awemeCount: undefined,
+            awemeCountDelta: null
+        }]);
+    });
+
+    test('only returns the requested number of days', () => {
+        store.append({ secUid: 'user', followerCount: 100, timestamp: '2023-12-31T12:00:00.000Z' });
+        store.append({ secUid: 'user', followerCount: 110, timestamp: '2024-01-01T12:00:00.000Z' });
+        store.append({ secUid: 'user', followerCount: 125, timestamp: '2024-01-02T12:00:00.000Z' });
+
+        expect(store.getDailyDeltas('user', { days: 1 }).map(entry => [entry.date, entry.followerCountDelta])).toEqual([['2024-01-02', 15]]);
+        expect(store.getDailyDeltas('user', { days: 2 }).map(entry => [entry.date, entry.followerCountDelta])).toEqual([['2024-01-01', 10], ['2024-01-02', 15]]);
+    });
+});
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { verifyVideoFile, readTopLevelBoxes } = require('../src/verifyDownload');
+
+/**
+ * 生成一个MP4 box
+ */
+function box(type, payloadSize) {
+    const buffer = Buffer.alloc(8 + payloadSize);
+    buffer.writeUInt32BE(8 + payloadSize, 0);
+    buffer.write(type, 4, 'latin1');
+    return buffer;
+}
+
+describe('verifyVideoFile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-verify-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    function writeVideo(...buffers) {
+        const filePath = path.join(tempDir, 'video.mp4');
+        fs.writeFileSync(filePath, Buffer.concat(buffers));
+        return filePath;
+    }
+
+    test('accepts a file with ftyp and moov at the end', () => {
+        const filePath = writeVideo(box('ftyp', 16), box('mdat', 100), box('moov', 20));
+
+        expect(readTopLevelBoxes(filePath)).toEqual({ boxes: ['ftyp', 'mdat', 'moov'], truncated: null });
+        expect(verifyVideoFile(filePath, 160)).toMatchObject({ ok: true, size: 160, sizeMatches: true, errors: [] });
+    });
+
+    test('reports a size mismatch', () => {
+        const filePath = writeVideo(box('ftyp', 16), box('moov', 20));
+
+        const result = verifyVideoFile(filePath, 1000);
+
+        expect(result.ok).toBe(false);
+        expect(result.sizeMatches).toBe(false);
+        expect(result.errors[0]).toContain('文件大小不一致');
+    });
+
+    test('reports a truncated file missing moov', () => {
+        const truncated = box('mdat', 100).subarray(0, 50);
+        const filePath = writeVideo(box('ftyp', 16), truncated);
+
+        const result = verifyVideoFile(filePath);
+
+        expect(result).toMatchObject({ ok: false, hasFtyp: true, hasMoov: false, sizeMatches: null });
+        expect(result.errors).toContain('MP4文件缺少moov box');
+    });
+
+    test('reports a moov box that runs past the end of the file without dataSize', () => {
+        const moovHeader = box('moov', 992).subarray(0, 16);
+        const filePath = writeVideo(box('ftyp', 16), box('mdat', 100), moovHeader);
+
+        const result = verifyVideoFile(filePath);
+
+        expect(result).toMatchObject({
+            ok: false,
+            hasFtyp: true,
+            hasMoov: false,
+            boxes: ['ftyp', 'mdat'],
+            truncatedBox: { type: 'moov', size: 1000, available: 16 }
+        });
+        expect(result.errors).toContain('MP4 moov box 被截断: 声明 1000 字节，实际只有 16 字节');
+    });
+
+    test('stops at corrupted box headers', () => {
+        const filePath = writeVideo(Buffer.alloc(32));
+
+        expect(verifyVideoFile(filePath)).toMatchObject({ ok: false, hasFtyp: false, boxes: [] });
+    });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VideoInfoCache, MemoryCacheBackend } = require('../src/videoInfoCache');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * 带有全部CDN地址字段的视频信息
+ */
+function createVideoInfo() {
+    const music = { title: '原声', coverUrl: 'https://cdn/music.jpg', playUrl: 'https://cdn/music.mp3' };
+    return {
+        videoId: '1',
+        type: 'video',
+        title: '作品',
+        videoUrl: 'https://cdn/video.mp4',
+        coverUrl: 'https://cdn/cover.jpg',
+        music,
+        variants: [{ gearName: '720p', url: 'https://cdn/720p.mp4', dataSize: 100 }],
+        metadata: { awemeId: '1', title: '作品', music }
+    };
+}
+
+describe('VideoInfoCache', () => {
+    let now;
+    let tempDir;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'douyin-cache-'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('returns cached video info with its urls within urlTtl', () => {
+        const cache = new VideoInfoCache({ ttl: 60 * MINUTE, urlTtl: 10 * MINUTE });
+        cache.set('1', createVideoInfo());
+
+        now += 10 * MINUTE;
+
+        expect(cache.get('1')).toEqual({ videoInfo: createVideoInfo(), cachedAt: 1700000000000, urlsExpired: false });
+    });
+
+    test('strips short-lived media urls after urlTtl but keeps the metadata', () => {
+        const cache = new VideoInfoCache({ ttl: 60 * MINUTE, urlTtl: 10 * MINUTE });
+        cache.set('1', createVideoInfo());
+
+        now += 10 * MINUTE + 1;
+        const cached = cache.get('1');
+
+        expect(cached.urlsExpired).toBe(true);
+        expect(cached.videoInfo).toMatchObject({
+            title: '作品',
+            videoUrl: null,
+            coverUrl: null,
+            music: { title: '原声', coverUrl: null, playUrl: null },
+            variants: [{ gearName: '720p', url: null, dataSize: 100 }],
+            metadata: { title: '作品', music: { title: '原声', coverUrl: null, playUrl: null } }
+        });
+    });
+
+    test('strips image and music urls of notes', () => {
+        const cache = new VideoInfoCache({ ttl: 60 * MINUTE, urlTtl: 10 * MINUTE });
+        cache.set('2', { ...createVideoInfo(), type: 'note', images: ['https://cdn/1.jpg', 'https://cdn/2.jpg'], musicUrl: 'https://cdn/music.mp3' });
+
+        now += 11 * MINUTE;
+
+        expect(cache.get('2').videoInfo).toMatchObject({ images: [null, null], musicUrl: null });
+    });
+
+    test('does not modify the cached entry when stripping urls', () => {
+        const backend = new MemoryCacheBackend();
+        const cache = new VideoInfoCache({ backend, ttl: 60 * MINUTE, urlTtl: 10 * MINUTE });
+        cache.set('1', createVideoInfo());
+
+        now += 11 * MINUTE;
+        cache.get('1');
+
+        expect(backend.get('1').videoInfo).toEqual(createVideoInfo());
+    });
+
+    test('expires and deletes entries older than ttl', () => {
+        const cache = new VideoInfoCache({ ttl: 60 * MINUTE });
+        cache.set('1', createVideoInfo());
+
+        now += 60 * MINUTE + 1;
+
+        expect(cache.get('1')).toBeNull();
+        expect(cache.backend.get('1')).toBeNull();
+    });
+
+    test('never keeps urls longer than the metadata', () => {
+        expect(new VideoInfoCache({ ttl: 5 * MINUTE, urlTtl: 30 * MINUTE }).urlTtl).toBe(5 * MINUTE);
+    });
+
+    test('file backend persists entries across instances', () => {
+        const filePath = path.join(tempDir, 'cache', 'video-info-cache.json');
+        const first = new VideoInfoCache({ backend: 'file', filePath, ttl: 60 * MINUTE, urlTtl: 10 * MINUTE });
+        first.set('1', createVideoInfo());
+
+        now += 11 * MINUTE;
+        const second = new VideoInfoCache({ backend: 'file', filePath, ttl: 60 * MINUTE, urlTtl: 10 * MINUTE });
+
+        expect(second.get('1')).toMatchObject({ cachedAt: 1700000000000, urlsExpired: true, videoInfo: { title: '作品', videoUrl: null } });
+
+        second.delete('1');
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({});
+    });
+
+    test('rejects unknown backends', () => {
+        expect(() => new VideoInfoCache({ backend: 'redis' })).toThrow('无效的缓存后端');
+    });
+});